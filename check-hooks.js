@@ -0,0 +1,809 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+// Hooks which do not occupy a slot may be called anywhere
+const SLOTLESS_HOOKS = new Set(["useContext", "useContextProvider"]);
+
+// Hooks from hooks-with-key.js which take a key as their first argument
+const KEYED_HOOKS = new Set([
+  "useState",
+  "useReducer",
+  "useMemo",
+  "useRef",
+  "useCallback",
+  "useErrorBoundary",
+  "useSuspenseBoundary",
+  "useSyncExternalStore",
+  "useEffect",
+  "useLayoutEffect",
+]);
+
+// Keywords after which a "/" starts a regular expression
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+  "return",
+  "typeof",
+  "instanceof",
+  "in",
+  "of",
+  "new",
+  "delete",
+  "void",
+  "throw",
+  "case",
+  "do",
+  "else",
+  "yield",
+  "await",
+]);
+
+const CONTROL_KEYWORDS = {
+  if: { conditional: true, hasBranches: true },
+  switch: { conditional: true, hasCases: true },
+  catch: { conditional: true },
+  for: { loop: true },
+  while: { loop: true },
+  with: {},
+};
+
+// Statements after which the rest of a switch case does not run
+const JUMP_KEYWORDS = new Set(["break", "continue", "return", "throw"]);
+
+const CONDITIONAL_OPERATORS = new Set([
+  "?",
+  "&&",
+  "||",
+  "??",
+  "&&=",
+  "||=",
+  "??=",
+]);
+
+// Longest first, so that the first match is the whole punctuator
+const PUNCTUATORS = [
+  ">>>=",
+  "...",
+  "===",
+  "!==",
+  "**=",
+  "<<=",
+  ">>=",
+  ">>>",
+  "&&=",
+  "||=",
+  "??=",
+  "=>",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "??",
+  "?.",
+  "++",
+  "--",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+  "**",
+  "<<",
+  ">>",
+];
+
+export function tokenize(source) {
+  const tokens = [];
+  // Tracks whether a "}" closes a block or a template substitution
+  const braceStack = [];
+  let index = 0;
+  let line = 1;
+  let col = 1;
+  let newlineBefore = false;
+
+  const advance = (count) => {
+    for (let i = 0; i < count && index < source.length; ++i) {
+      if (source[index] === "\n") {
+        line += 1;
+        col = 1;
+      } else {
+        col += 1;
+      }
+      index += 1;
+    }
+  };
+  const push = (type, value, startLine, startCol) => {
+    tokens.push({ type, value, line: startLine, col: startCol, newlineBefore });
+    newlineBefore = false;
+  };
+  const readTemplate = (startLine, startCol, start, whole, head) => {
+    // Reads template text up to the closing backtick or a substitution
+    let end = index;
+    while (end < source.length && source[end] !== "`") {
+      if (source[end] === "\\") {
+        end += 2;
+      } else if (source.startsWith("${", end)) {
+        break;
+      } else {
+        end += 1;
+      }
+    }
+    if (source.startsWith("${", end)) {
+      advance(end + 2 - index);
+      braceStack.push("${");
+      push(head, source.slice(start, index), startLine, startCol);
+    } else {
+      advance(end + 1 - index);
+      push(whole, source.slice(start, index), startLine, startCol);
+    }
+  };
+
+  while (index < source.length) {
+    const ch = source[index];
+    const startLine = line;
+    const startCol = col;
+    const start = index;
+    if (ch === "\n") {
+      newlineBefore = true;
+      advance(1);
+    } else if (/\s/.test(ch)) {
+      advance(1);
+    } else if (source.startsWith("//", index)) {
+      while (index < source.length && source[index] !== "\n") {
+        advance(1);
+      }
+    } else if (source.startsWith("/*", index)) {
+      const end = source.indexOf("*/", index + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      if (source.slice(index, stop).includes("\n")) {
+        newlineBefore = true;
+      }
+      advance(stop - index);
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const [name] = source.slice(index).match(/^[\w$]+/);
+      advance(name.length);
+      push("name", name, startLine, startCol);
+    } else if (
+      /[0-9]/.test(ch) ||
+      (ch === "." && /[0-9]/.test(source[index + 1]))
+    ) {
+      const [number] = source.slice(index).match(/^[\w.]+/);
+      advance(number.length);
+      push("number", number, startLine, startCol);
+    } else if (ch === '"' || ch === "'") {
+      let end = index + 1;
+      while (
+        end < source.length &&
+        source[end] !== ch &&
+        source[end] !== "\n"
+      ) {
+        end += source[end] === "\\" ? 2 : 1;
+      }
+      advance(end + 1 - index);
+      push("string", source.slice(start, index), startLine, startCol);
+    } else if (ch === "`") {
+      advance(1);
+      readTemplate(startLine, startCol, start, "template", "template-head");
+    } else if (ch === "}" && braceStack[braceStack.length - 1] === "${") {
+      braceStack.pop();
+      advance(1);
+      readTemplate(
+        startLine,
+        startCol,
+        start,
+        "template-tail",
+        "template-middle",
+      );
+    } else if (ch === "/" && isRegexAllowed(tokens[tokens.length - 1])) {
+      let end = index + 1;
+      let inClass = false;
+      while (end < source.length && source[end] !== "\n") {
+        if (source[end] === "\\") {
+          end += 1;
+        } else if (source[end] === "[") {
+          inClass = true;
+        } else if (source[end] === "]") {
+          inClass = false;
+        } else if (source[end] === "/" && !inClass) {
+          break;
+        }
+        end += 1;
+      }
+      const [flags] = source.slice(end + 1).match(/^[a-z]*/);
+      advance(end + 1 + flags.length - index);
+      push("regex", source.slice(start, index), startLine, startCol);
+    } else {
+      let punctuator =
+        PUNCTUATORS.find((candidate) => source.startsWith(candidate, index)) ??
+        ch;
+      if (punctuator === "?." && /[0-9]/.test(source[index + 2])) {
+        // A ternary followed by a decimal like `a ?.5 : 1`
+        punctuator = "?";
+      }
+      if (punctuator === "{") {
+        braceStack.push("{");
+      } else if (punctuator === "}") {
+        braceStack.pop();
+      }
+      advance(punctuator.length);
+      push("punct", punctuator, startLine, startCol);
+    }
+  }
+  return tokens;
+}
+
+function isRegexAllowed(prevToken) {
+  if (!prevToken) {
+    return true;
+  }
+  if (prevToken.type === "name") {
+    return KEYWORDS_BEFORE_EXPRESSION.has(prevToken.value);
+  }
+  if (prevToken.type === "punct") {
+    return prevToken.value !== ")" && prevToken.value !== "]";
+  }
+  return (
+    prevToken.type === "template-head" || prevToken.type === "template-middle"
+  );
+}
+
+function matchBrackets(tokens) {
+  // Maps the index of each opening bracket to its closing bracket and back
+  const matches = new Map();
+  const stack = [];
+  tokens.forEach((token, index) => {
+    const isOpen =
+      (token.type === "punct" && "([{".includes(token.value)) ||
+      token.type === "template-head";
+    const isClose =
+      (token.type === "punct" && ")]}".includes(token.value)) ||
+      token.type === "template-tail";
+    if (token.type === "template-middle") {
+      const open = stack.pop();
+      matches.set(open, index);
+      matches.set(index, open);
+      stack.push(index);
+    } else if (isOpen) {
+      stack.push(index);
+    } else if (isClose && stack.length > 0) {
+      const open = stack.pop();
+      matches.set(open, index);
+      matches.set(index, open);
+    }
+  });
+  return matches;
+}
+
+function isHookScopeName(name) {
+  // Components and custom hooks are the only places hooks may be called
+  return name !== undefined && /^([A-Z]|use[A-Z0-9])/.test(name);
+}
+
+function getBindingName(tokens, index) {
+  // Finds "name" in `const name = () => {}` or `{ name: function () {} }`
+  let i = index - 1;
+  if (tokens[i]?.value === "async") {
+    i -= 1;
+  }
+  const assignment = tokens[i];
+  const target = tokens[i - 1];
+  if (assignment?.value !== "=" && assignment?.value !== ":") {
+    return undefined;
+  }
+  if (target?.type === "name") {
+    return target.value;
+  }
+  if (target?.type === "string") {
+    return target.value.slice(1, -1);
+  }
+  return undefined;
+}
+
+function endsStatement(token) {
+  if (!token) {
+    return false;
+  }
+  if (token.type === "punct") {
+    return [")", "]", "}", "++", "--"].includes(token.value);
+  }
+  return token.type !== "template-head" && token.type !== "template-middle";
+}
+
+function startsStatement(token) {
+  return (
+    token.type === "name" && !["in", "of", "instanceof"].includes(token.value)
+  );
+}
+
+export function checkSource(source, { keyed = false } = {}) {
+  const tokens = tokenize(source);
+  const matches = matchBrackets(tokens);
+  const diagnostics = [];
+  const stack = [{ kind: "block", conditionalExpr: false, tokenCount: 0 }];
+  let pendingControl = undefined;
+  let pendingBody = undefined;
+  let pendingFunction = undefined;
+  let pendingFunctionBody = undefined;
+  let lastPopped = undefined;
+
+  const top = () => stack[stack.length - 1];
+  const findFunctionFrame = () => {
+    for (let i = stack.length - 1; i >= 0; --i) {
+      if (stack[i].kind === "function") {
+        return i;
+      }
+    }
+    return -1;
+  };
+  const pushFunction = (name, isExpression) => {
+    const frameIndex = findFunctionFrame();
+    stack.push({
+      kind: "function",
+      isExpression,
+      conditionalExpr: false,
+      tokenCount: 0,
+      fn: {
+        name,
+        isHookScope: isHookScopeName(name),
+        parent: frameIndex === -1 ? undefined : stack[frameIndex].fn,
+        hasReturned: false,
+        keys: new Map(),
+      },
+    });
+  };
+  const pop = () => {
+    lastPopped = stack.pop();
+    const frameIndex = findFunctionFrame();
+    if (lastPopped.isReturn && frameIndex !== -1) {
+      stack[frameIndex].fn.hasReturned = true;
+    }
+    return lastPopped;
+  };
+  const popExpressions = () => {
+    // Braceless statement bodies and arrow expression bodies end together
+    while (
+      top().kind === "statement" ||
+      (top().kind === "function" && top().isExpression)
+    ) {
+      pop();
+    }
+  };
+  const endExpression = () => {
+    top().conditionalExpr = false;
+    top().ternaries = undefined;
+  };
+  const report = (token, message, rule) => {
+    diagnostics.push({ line: token.line, col: token.col, message, rule });
+  };
+
+  const checkHookCall = (index) => {
+    const token = tokens[index];
+    const name = token.value;
+    const frameIndex = findFunctionFrame();
+    if (frameIndex === -1 || SLOTLESS_HOOKS.has(name)) {
+      return;
+    }
+    const fn = stack[frameIndex].fn;
+    let isConditional = false;
+    let isLoop = false;
+    const branches = [];
+    for (let i = frameIndex; i < stack.length; ++i) {
+      isConditional ||= Boolean(
+        stack[i].conditional || stack[i].conditionalExpr,
+      );
+      isLoop ||= Boolean(stack[i].loop);
+      if (stack[i].branch) {
+        branches.push(stack[i].branch);
+      }
+      branches.push(...(stack[i].ternaries ?? []));
+    }
+
+    if (keyed) {
+      if (KEYED_HOOKS.has(name)) {
+        checkKey(index, fn, isLoop, branches);
+      }
+      return;
+    }
+    if (!fn.isHookScope) {
+      let scope = fn.parent;
+      while (scope && !scope.isHookScope) {
+        scope = scope.parent;
+      }
+      if (scope) {
+        report(
+          token,
+          `${name} is called inside a nested function. Call hooks at the top level of ${scope.name} instead`,
+          "nested-hook",
+        );
+      }
+    } else if (isLoop) {
+      report(
+        token,
+        `${name} is called inside a loop. Hooks must be called in the same order on every render`,
+        "loop-hook",
+      );
+    } else if (isConditional) {
+      report(
+        token,
+        `${name} is called conditionally. Hooks must be called in the same order on every render`,
+        "conditional-hook",
+      );
+    } else if (fn.hasReturned) {
+      report(
+        token,
+        `${name} is called after an early return in ${fn.name}. Hooks must be called in the same order on every render`,
+        "early-return-hook",
+      );
+    }
+  };
+
+  const checkKey = (index, fn, isLoop, branches) => {
+    const token = tokens[index];
+    const name = token.value;
+    const keyToken = tokens[index + 2];
+    const afterKey = tokens[index + 3];
+    const isLiteral =
+      keyToken &&
+      ["string", "template", "number"].includes(keyToken.type) &&
+      (afterKey?.value === "," || afterKey?.value === ")");
+    if (!isLiteral) {
+      report(
+        keyToken ?? token,
+        `${name} is called with a non-literal key. Keys must be string or number literals`,
+        "non-literal-key",
+      );
+      return;
+    }
+    const key =
+      keyToken.type === "number" ? keyToken.value : keyToken.value.slice(1, -1);
+    // Uses in different arms of the same if statement, conditional
+    // expression or switch never run together
+    const uses = fn.keys.get(key) ?? [];
+    const firstUse = uses.find(
+      (use) =>
+        !use.branches.some((branch) =>
+          branches.some(
+            (other) => other.group === branch.group && other.arm !== branch.arm,
+          ),
+        ),
+    )?.token;
+    if (isLoop) {
+      report(
+        keyToken,
+        `${name} is called inside a loop with the literal key "${key}", so every iteration shares one slot`,
+        "duplicate-key",
+      );
+    } else if (firstUse) {
+      report(
+        keyToken,
+        `${name} reuses the key "${key}" first used at ${firstUse.line}:${firstUse.col}`,
+        "duplicate-key",
+      );
+    } else {
+      fn.keys.set(key, [...uses, { token: keyToken, branches }]);
+    }
+  };
+
+  for (let index = 0; index < tokens.length; ++index) {
+    const token = tokens[index];
+    const prev = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    // Line breaks end statements where automatic semicolon insertion applies
+    if (
+      token.newlineBefore &&
+      endsStatement(prev) &&
+      startsStatement(token) &&
+      ["block", "statement", "function"].includes(top().kind)
+    ) {
+      if (top().tokenCount > 0) {
+        popExpressions();
+      }
+      endExpression();
+    }
+
+    // The body of a control statement with or without braces
+    if (pendingBody) {
+      const flags = pendingBody;
+      pendingBody = undefined;
+      if (token.value === "{" && token.type === "punct") {
+        stack.push({
+          kind: "block",
+          ...flags,
+          conditionalExpr: false,
+          tokenCount: 0,
+        });
+        continue;
+      }
+      stack.push({
+        kind: "statement",
+        ...flags,
+        conditionalExpr: false,
+        tokenCount: 0,
+      });
+    }
+    top().tokenCount += 1;
+
+    if (token.type === "name" && prev?.value === ".") {
+      // Property names like `obj.if` are not keywords, but may be hooks
+      if (/^use[A-Z0-9]/.test(token.value) && next?.value === "(") {
+        checkHookCall(index);
+      }
+      continue;
+    }
+    if (token.type === "name") {
+      if (JUMP_KEYWORDS.has(token.value)) {
+        // A case which ends in a jump does not fall through to the next one
+        const caseFrame = top().hasCases
+          ? top()
+          : top().kind === "block" &&
+              !top().conditional &&
+              !top().loop &&
+              stack[stack.length - 2]?.hasCases
+            ? stack[stack.length - 2]
+            : undefined;
+        if (caseFrame) {
+          caseFrame.hasJumped = true;
+        }
+      }
+      if (token.value === "function") {
+        const nameToken = next?.value === "*" ? tokens[index + 2] : next;
+        pendingFunction = {
+          name:
+            nameToken?.type === "name"
+              ? nameToken.value
+              : getBindingName(tokens, index),
+        };
+      } else if (Object.hasOwn(CONTROL_KEYWORDS, token.value)) {
+        const isDoWhile =
+          token.value === "while" &&
+          prev?.value === "}" &&
+          lastPopped?.isDoBody;
+        if (token.value === "catch" && next?.value !== "(") {
+          pendingBody = { conditional: true };
+        } else if (!isDoWhile) {
+          // Applies to the next "(", which may follow `for await`
+          pendingControl = CONTROL_KEYWORDS[token.value];
+        }
+      } else if (token.value === "else") {
+        // The arm after the body of the if statement which just ended
+        const branch = lastPopped?.branch;
+        pendingBody = {
+          conditional: true,
+          branch: branch && { group: branch.group, arm: branch.arm + 1 },
+        };
+      } else if (
+        (token.value === "case" || token.value === "default") &&
+        top().hasCases
+      ) {
+        // Each case is an arm, unless the case before it falls through
+        const frame = top();
+        if (!frame.branch) {
+          frame.branch = { group: {}, arm: 0 };
+        } else if (frame.hasJumped) {
+          frame.branch = {
+            group: frame.branch.group,
+            arm: frame.branch.arm + 1,
+          };
+        }
+        frame.hasJumped = false;
+      } else if (token.value === "do") {
+        pendingBody = { loop: true, isDoBody: true };
+      } else if (token.value === "return") {
+        // Hooks after the end of the return statement are after a return
+        stack.push({
+          kind: "statement",
+          isReturn: true,
+          conditionalExpr: false,
+          tokenCount: 0,
+        });
+      } else if (
+        /^use[A-Z0-9]/.test(token.value) &&
+        next?.value === "(" &&
+        prev?.value !== "function" &&
+        tokens[matches.get(index + 1) + 1]?.value !== "{"
+      ) {
+        checkHookCall(index);
+      }
+      continue;
+    }
+
+    if (token.type === "template-head") {
+      stack.push({ kind: "paren", conditionalExpr: false, tokenCount: 0 });
+      continue;
+    }
+    if (token.type === "template-middle") {
+      popExpressions();
+      endExpression();
+      continue;
+    }
+    if (token.type === "template-tail") {
+      popExpressions();
+      pop();
+      continue;
+    }
+    if (token.type !== "punct") {
+      continue;
+    }
+
+    switch (token.value) {
+      case "(": {
+        stack.push({
+          kind: "paren",
+          control: pendingControl,
+          params: pendingFunction,
+          openIndex: index,
+          conditionalExpr: false,
+          tokenCount: 0,
+        });
+        pendingControl = undefined;
+        pendingFunction = undefined;
+        break;
+      }
+      case ")": {
+        popExpressions();
+        const frame = pop();
+        if (frame.control?.hasBranches) {
+          pendingBody = { ...frame.control, branch: { group: {}, arm: 0 } };
+        } else if (frame.control) {
+          pendingBody = frame.control;
+        } else if (frame.params) {
+          pendingFunctionBody = frame.params;
+        } else if (
+          next?.value === "{" &&
+          tokens[frame.openIndex - 1]?.type === "name"
+        ) {
+          // A method definition like `render() { ... }`
+          pendingFunctionBody = { name: tokens[frame.openIndex - 1].value };
+        }
+        break;
+      }
+      case "[": {
+        stack.push({ kind: "bracket", conditionalExpr: false, tokenCount: 0 });
+        break;
+      }
+      case "]": {
+        popExpressions();
+        pop();
+        break;
+      }
+      case "{": {
+        if (pendingFunctionBody) {
+          pushFunction(pendingFunctionBody.name, false);
+          pendingFunctionBody = undefined;
+        } else {
+          stack.push({ kind: "block", conditionalExpr: false, tokenCount: 0 });
+        }
+        break;
+      }
+      case "}": {
+        popExpressions();
+        if (stack.length > 1) {
+          pop();
+        }
+        break;
+      }
+      case "=>": {
+        const paramsStart =
+          prev?.value === ")" ? matches.get(index - 1) : index - 1;
+        const name = getBindingName(tokens, paramsStart);
+        if (next?.value === "{") {
+          pendingFunctionBody = { name };
+        } else {
+          pushFunction(name, true);
+        }
+        break;
+      }
+      case ";": {
+        popExpressions();
+        endExpression();
+        break;
+      }
+      case ",": {
+        if (top().kind === "function" && top().isExpression) {
+          pop();
+        }
+        endExpression();
+        break;
+      }
+      default: {
+        if (token.value === "?") {
+          // Each arm of a conditional expression is a branch of its own
+          top().ternaries ??= [];
+          top().ternaries.push({ group: {}, arm: 0 });
+        } else if (token.value === ":" && top().ternaries) {
+          // Ends the first arm of the innermost conditional still in it
+          const ternaries = top().ternaries;
+          while (ternaries.at(-1)?.arm === 1) {
+            ternaries.pop();
+          }
+          const ternary = ternaries.pop();
+          if (ternary) {
+            ternaries.push({ group: ternary.group, arm: 1 });
+          }
+        }
+        if (CONDITIONAL_OPERATORS.has(token.value)) {
+          top().conditionalExpr = true;
+        }
+      }
+    }
+  }
+  return diagnostics;
+}
+
+export function formatDiagnostic(file, { line, col, message, rule }) {
+  return `${file}:${line}:${col}: error: ${message} (${rule})`;
+}
+
+function collectFiles(paths) {
+  const files = [];
+  for (const filePath of paths) {
+    if (fs.statSync(filePath).isDirectory()) {
+      const entries = fs.readdirSync(filePath).sort();
+      const nested = entries
+        .filter((entry) => entry !== "node_modules" && !entry.startsWith("."))
+        .map((entry) => path.join(filePath, entry))
+        .filter(
+          (entry) =>
+            fs.statSync(entry).isDirectory() || /\.(m|c)?jsx?$/.test(entry),
+        );
+      files.push(...collectFiles(nested));
+    } else {
+      files.push(filePath);
+    }
+  }
+  return files;
+}
+
+export function main(args) {
+  const usage = "Usage: check-hooks.js [--keyed] <file or directory>...";
+  let keyed = false;
+  const paths = [];
+  for (const arg of args) {
+    if (arg === "--keyed") {
+      keyed = true;
+    } else if (arg === "--help" || arg === "-h") {
+      console.log(usage);
+      return 0;
+    } else {
+      paths.push(arg);
+    }
+  }
+  if (paths.length === 0) {
+    console.error(usage);
+    return 2;
+  }
+
+  const missing = paths.filter((filePath) => !fs.existsSync(filePath));
+  if (missing.length > 0) {
+    for (const filePath of missing) {
+      console.error(`${filePath}: no such file`);
+    }
+    return 2;
+  }
+
+  let problems = 0;
+  for (const file of collectFiles(paths)) {
+    const source = fs.readFileSync(file, "utf8");
+    for (const diagnostic of checkSource(source, { keyed })) {
+      console.log(formatDiagnostic(file, diagnostic));
+      problems += 1;
+    }
+  }
+  if (problems > 0) {
+    console.error(`${problems} problem${problems === 1 ? "" : "s"} found`);
+  }
+  return problems > 0 ? 1 : 0;
+}
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href
+) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,227 @@
+import assert from "assert";
+import fs from "fs";
+import { checkSource, formatDiagnostic, main } from "./check-hooks.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+function rules(source, options) {
+  return checkSource(source, options).map(
+    ({ line, col, rule }) => `${line}:${col}:${rule}`,
+  );
+}
+
+const tests = {
+  "hooks at the top level of components and custom hooks are allowed": () => {
+    const source = `
+      // useState() in a comment is ignored
+      const Component = ({ items }) => {
+        const [state, setState] = useState(0);
+        const label = \`useMemo(\${state})\`;
+        const pattern = /useEffect\\(/g;
+        const total = useMemo(() => items.length || 0, [items]);
+        useEffect(() => {
+          if (state) {
+            setState(0);
+          }
+        }, [state]);
+        return state ? label : total;
+      };
+      function useCounter() {
+        return useState(0);
+      }
+    `;
+    assert.deepEqual(rules(source), []);
+  },
+  "hooks called conditionally are reported": () => {
+    const source = [
+      "function Component({ flag }) {",
+      "  if (flag) {",
+      "    useState(0);",
+      "  }",
+      "  if (flag) useMemo(() => 1, []);",
+      "  const value = flag ? useState(1) : undefined;",
+      "  const other = flag && useEffect(() => {}, []);",
+      "  useState(2);",
+      "}",
+    ].join("\n");
+    assert.deepEqual(rules(source), [
+      "3:5:conditional-hook",
+      "5:13:conditional-hook",
+      "6:24:conditional-hook",
+      "7:25:conditional-hook",
+    ]);
+  },
+  "hooks called inside of loops are reported": () => {
+    const source = [
+      "const Component = ({ items }) => {",
+      "  for (const item of items) {",
+      "    useState(item);",
+      "  }",
+      "  let i = 0;",
+      "  while (i++ < 3) useMemo(() => i, [i]);",
+      "};",
+    ].join("\n");
+    assert.deepEqual(rules(source), ["3:5:loop-hook", "6:19:loop-hook"]);
+  },
+  "hooks called after an early return are reported": () => {
+    const source = [
+      "const Component = ({ loading }) => {",
+      "  const [state] = useState(0);",
+      "  if (loading) {",
+      "    return null;",
+      "  }",
+      "  useEffect(() => {}, []);",
+      "};",
+    ].join("\n");
+    assert.deepEqual(rules(source), ["6:3:early-return-hook"]);
+  },
+  "hooks called inside of nested functions are reported": () => {
+    const source = [
+      "const Component = ({ items }) => {",
+      "  items.forEach((item) => useState(item));",
+      "  useEffect(() => {",
+      "    const [inner] = useState(0);",
+      "  }, []);",
+      "};",
+      "function helper() {",
+      "  return () => useState(0);",
+      "}",
+    ].join("\n");
+    assert.deepEqual(rules(source), ["2:27:nested-hook", "4:21:nested-hook"]);
+  },
+  "useContext may be called anywhere": () => {
+    const source = [
+      "const Component = ({ flag }) => {",
+      "  const theme = flag ? useContext(Theme) : undefined;",
+      "};",
+    ].join("\n");
+    assert.deepEqual(rules(source), []);
+  },
+  "keyed mode reports non-literal and duplicate keys": () => {
+    const source = [
+      "const Component = ({ id, flag }) => {",
+      "  const [a] = useState('a', 0);",
+      "  if (flag) {",
+      "    const [b] = useState(`b`, 0);",
+      "  }",
+      "  const [c] = useState(id, 0);",
+      '  useMemo("a", () => 1, []);',
+      "  for (const item of [1, 2]) {",
+      '    useRef("ref");',
+      "  }",
+      "  useSyncExternalStore(id, subscribe, getSnapshot);",
+      '  useSuspenseBoundary("a");',
+      "};",
+    ].join("\n");
+    assert.deepEqual(rules(source, { keyed: true }), [
+      "6:24:non-literal-key",
+      "7:11:duplicate-key",
+      "9:12:duplicate-key",
+      "11:24:non-literal-key",
+      "12:23:duplicate-key",
+    ]);
+    assert.equal(
+      checkSource(source, { keyed: true })[1].message,
+      'useMemo reuses the key "a" first used at 2:24',
+    );
+  },
+  "keyed mode allows a key in each arm of an if statement": () => {
+    const source = [
+      "const Component = ({ flag, other }) => {",
+      "  if (flag) {",
+      '    useState("a", 1);',
+      "  } else if (other) {",
+      '    useState("a", 2);',
+      "  } else useState('a', 3);",
+      "  if (flag) {",
+      '    useState("b", 1);',
+      "  }",
+      "  if (other) {",
+      '    useState("b", 2);',
+      "  }",
+      '  useState("a", 4);',
+      "};",
+    ].join("\n");
+    assert.deepEqual(rules(source, { keyed: true }), [
+      "11:14:duplicate-key",
+      "13:12:duplicate-key",
+    ]);
+  },
+  "keyed mode allows a key in each arm of a conditional expression": () => {
+    const source = [
+      "const Component = ({ flag, other }) => {",
+      '  const [a] = flag ? useState("m", 1) : useState("m", 2);',
+      '  const b = flag ? 0 : other ? useRef("r") : useRef("r");',
+      '  const c = flag ? useMemo("m", () => 1, []) : 0;',
+      "};",
+    ].join("\n");
+    assert.deepEqual(rules(source, { keyed: true }), ["4:28:duplicate-key"]);
+  },
+  "keyed mode allows a key in each case of a switch": () => {
+    const source = [
+      "const Component = ({ mode }) => {",
+      "  switch (mode) {",
+      '    case "a":',
+      '      useState("m", 1);',
+      "      break;",
+      '    case "b": {',
+      '      useState("m", 2);',
+      "      return null;",
+      "    }",
+      '    case "c":',
+      '      useRef("r");',
+      "    default:",
+      '      useRef("r");',
+      '      useState("m", 3);',
+      "  }",
+      "};",
+    ].join("\n");
+    assert.deepEqual(rules(source, { keyed: true }), ["13:14:duplicate-key"]);
+  },
+  "diagnostics are formatted like compiler errors": () => {
+    const [diagnostic] = checkSource("function C(x) { if (x) useState(); }");
+    assert.equal(
+      formatDiagnostic("src/C.js", diagnostic),
+      "src/C.js:1:24: error: useState is called conditionally. Hooks must be called in the same order on every render (conditional-hook)",
+    );
+  },
+  "missing files are reported without a stack trace": () => {
+    const log = [];
+    const error = console.error;
+    console.error = (message) => log.push(message);
+    try {
+      assert.equal(main(["missing/Component.js"]), 2);
+    } finally {
+      console.error = error;
+    }
+    assert.deepEqual(log, ["missing/Component.js: no such file"]);
+  },
+  "the resource hooks pass both modes": () => {
+    const source = fs.readFileSync(
+      new URL("./resource.js", import.meta.url),
+      "utf8",
+    );
+    assert.deepEqual(rules(source), []);
+    assert.deepEqual(rules(source, { keyed: true }), []);
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();
@@ -0,0 +1,229 @@
+import {
+  addRuntimeListener,
+  describeHook as describeRuntimeHook,
+  inspectInstance,
+} from "./hooks-core.js";
+
+const MAX_DEPTH = 8;
+
+// Messages sent to an inspector:
+// - { type: "snapshot", roots } with the tree of mounted instances
+// - { type: "render", id, parentId, name }
+// - { type: "update", id, hook, value, prevValue }
+// - { type: "effect" | "cleanup", id, hook }
+// - { type: "unmount", id }
+// An inspector may send { type: "getSnapshot" } to be sent a new snapshot.
+// Instances mounted before the devtools were created are tracked from their
+// next render.
+export function createDevtools({ transport } = {}) {
+  const ids = new WeakMap();
+  let nextId = 1;
+  // Mounted instances in the order they were first rendered
+  const instances = new Set();
+  const listeners = new Set();
+  const connections = new Set();
+
+  function getId(instance) {
+    if (!ids.has(instance)) {
+      ids.set(instance, nextId);
+      nextId += 1;
+    }
+    return ids.get(instance);
+  }
+
+  function emit(message) {
+    listeners.forEach((listener) => listener(message));
+    connections.forEach(({ transport }) => transport.send(message));
+  }
+
+  function onRuntimeEvent({ type, instance, hook, prevValue }) {
+    const id = getId(instance);
+    if (type === "render") {
+      const { name, parent } = inspectInstance(instance);
+      instances.add(instance);
+      emit({ type, id, parentId: parent && getId(parent), name });
+    } else if (type === "unmount") {
+      if (instances.delete(instance)) {
+        emit({ type, id });
+      }
+    } else if (type === "update") {
+      emit({
+        type,
+        id,
+        hook: describeHook(hook),
+        value: toSerializable(hook.value),
+        prevValue: toSerializable(prevValue),
+      });
+    } else if (type === "effect" || type === "cleanup") {
+      emit({ type, id, hook: describeHook(hook) });
+    }
+  }
+
+  function getSnapshot() {
+    // Instances are grouped under their parent, including nested mounts
+    const nodes = new Map();
+    for (const instance of instances) {
+      const { name, hooks } = inspectInstance(instance);
+      nodes.set(instance, {
+        id: getId(instance),
+        name,
+        hooks: hooks.map((hook) => ({
+          ...describeHook(hook),
+          value: toSerializable(hook.value),
+          dependencies: toSerializable(hook.dependencies),
+          active: hook.active,
+        })),
+        children: [],
+      });
+    }
+    const roots = [];
+    for (const [instance, node] of nodes) {
+      const parentNode = nodes.get(inspectInstance(instance).parent);
+      (parentNode ? parentNode.children : roots).push(node);
+    }
+    return roots;
+  }
+
+  function connect(transport) {
+    // The inspector starts from a snapshot and then follows the events
+    const connection = {
+      transport,
+      removeHandler: transport.onMessage((message) => {
+        if (message?.type === "getSnapshot") {
+          transport.send({ type: "snapshot", roots: getSnapshot() });
+        }
+      }),
+    };
+    connections.add(connection);
+    transport.send({ type: "snapshot", roots: getSnapshot() });
+    return () => {
+      if (connections.delete(connection)) {
+        connection.removeHandler?.();
+      }
+    };
+  }
+
+  const removeRuntimeListener = addRuntimeListener(onRuntimeEvent);
+  if (transport) {
+    connect(transport);
+  }
+
+  return {
+    getSnapshot,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    connect,
+    close() {
+      removeRuntimeListener();
+      connections.forEach((connection) => connection.removeHandler?.());
+      connections.clear();
+      listeners.clear();
+      instances.clear();
+    },
+  };
+}
+
+export function describeHook(hook) {
+  // Named like in the runtime's messages, with keys made safe to send
+  return toSerializable(describeRuntimeHook(hook));
+}
+
+export function toSerializable(value, depth = 0, seen = new Set()) {
+  // Values are made safe to send as JSON, without throwing on any of them
+  if (typeof value === "function") {
+    return `[Function ${value.name || "anonymous"}]`;
+  } else if (typeof value === "symbol") {
+    return value.toString();
+  } else if (typeof value === "bigint") {
+    return `${value}n`;
+  } else if (typeof value === "number" && !Number.isFinite(value)) {
+    return String(value);
+  } else if (value === null || typeof value !== "object") {
+    return value;
+  } else if (seen.has(value)) {
+    return "[Circular]";
+  } else if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? "[Array]" : "[Object]";
+  } else if (value instanceof Date) {
+    return value.toISOString();
+  } else if (value instanceof Error) {
+    return `${value.name}: ${value.message}`;
+  } else if (typeof value.then === "function") {
+    return "[Promise]";
+  }
+  seen.add(value);
+  try {
+    const convert = (item) => toSerializable(item, depth + 1, seen);
+    if (Array.isArray(value) || value instanceof Set) {
+      return [...value].map(convert);
+    } else if (value instanceof Map) {
+      return [...value].map(([key, item]) => [convert(key), convert(item)]);
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, convert(item)]),
+    );
+  } finally {
+    seen.delete(value);
+  }
+}
+
+// Both ends of an in-process connection, with messages delivered right away
+export function createInProcessTransport() {
+  const handlers = [new Set(), new Set()];
+  const createEnd = (receivers, own) => ({
+    send(message) {
+      receivers.forEach((handler) => handler(message));
+    },
+    onMessage(handler) {
+      own.add(handler);
+      return () => {
+        own.delete(handler);
+      };
+    },
+  });
+  return [
+    createEnd(handlers[1], handlers[0]),
+    createEnd(handlers[0], handlers[1]),
+  ];
+}
+
+// Sends messages as newline-delimited JSON, e.g. over a socket, a child
+// process's stdio or anything else with a pair of streams
+export function createStreamTransport(input, output = input) {
+  const handlers = new Set();
+  let buffered = "";
+
+  const onData = (chunk) => {
+    buffered += String(chunk);
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    for (const line of lines) {
+      if (line.trim() === "") {
+        continue;
+      }
+      const message = JSON.parse(line);
+      handlers.forEach((handler) => handler(message));
+    }
+  };
+  input.setEncoding?.("utf8");
+  input.on("data", onData);
+
+  return {
+    send(message) {
+      output.write(`${JSON.stringify(message)}\n`);
+    },
+    onMessage(handler) {
+      handlers.add(handler);
+      return () => {
+        handlers.delete(handler);
+      };
+    },
+    close() {
+      input.off("data", onData);
+    },
+  };
+}
@@ -0,0 +1,219 @@
+import assert from "assert";
+import fs from "fs";
+import { PassThrough } from "stream";
+import {
+  createDevtools,
+  createInProcessTransport,
+  createStreamTransport,
+  toSerializable,
+} from "./devtools.js";
+import {
+  mount,
+  flushSync,
+  renderChild,
+  useState,
+  useMemo,
+  useEffect,
+} from "./hooks.js";
+import * as keyed from "./hooks-with-key.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+const tests = {
+  "devtools snapshot shows the tree of mounted instances": () => {
+    const devtools = createDevtools();
+    const Child = () => {
+      const [name] = keyed.useState("name", "Ada");
+      keyed.useMemo("upper", () => name.toUpperCase(), [name]);
+    };
+    const Parent = () => {
+      const [count] = useState(1);
+      keyed.renderChild(Child);
+      return count;
+    };
+    const { unmount } = mount(Parent);
+    assert.deepEqual(devtools.getSnapshot(), [
+      {
+        id: 2,
+        name: "Parent",
+        hooks: [
+          {
+            type: "useState",
+            index: 0,
+            value: 1,
+            dependencies: undefined,
+            active: true,
+          },
+        ],
+        children: [
+          {
+            id: 1,
+            name: "Child",
+            hooks: [
+              {
+                type: "useState",
+                key: "name",
+                value: "Ada",
+                dependencies: undefined,
+                active: true,
+              },
+              {
+                type: "useMemo",
+                key: "upper",
+                value: "ADA",
+                dependencies: ["Ada"],
+                active: true,
+              },
+            ],
+            children: [],
+          },
+        ],
+      },
+    ]);
+    unmount();
+    assert.deepEqual(devtools.getSnapshot(), []);
+    devtools.close();
+  },
+  "devtools emits render, update, effect, cleanup and unmount events": () => {
+    const devtools = createDevtools();
+    const messages = [];
+    devtools.subscribe((message) => messages.push(message));
+    let setter;
+    const Counter = () => {
+      const [count, setCount] = useState(0);
+      useEffect(() => () => {}, [count]);
+      setter = setCount;
+    };
+    const { unmount } = mount(Counter);
+    flushSync(() => setter(1));
+    unmount();
+    const hook = { type: "useEffect", index: 1 };
+    assert.deepEqual(messages, [
+      { type: "render", id: 1, parentId: undefined, name: "Counter" },
+      { type: "effect", id: 1, hook },
+      {
+        type: "update",
+        id: 1,
+        hook: { type: "useState", index: 0 },
+        value: 1,
+        prevValue: 0,
+      },
+      { type: "render", id: 1, parentId: undefined, name: "Counter" },
+      { type: "cleanup", id: 1, hook },
+      { type: "effect", id: 1, hook },
+      { type: "unmount", id: 1 },
+      { type: "cleanup", id: 1, hook },
+    ]);
+    devtools.close();
+  },
+  "devtools values which are not JSON are made serializable": () => {
+    const cyclic = { name: "node" };
+    cyclic.self = cyclic;
+    function handler() {}
+    assert.deepEqual(
+      toSerializable({
+        cyclic,
+        handler,
+        map: new Map([["a", 1]]),
+        set: new Set([2]),
+        big: 3n,
+        missing: NaN,
+      }),
+      {
+        cyclic: { name: "node", self: "[Circular]" },
+        handler: "[Function handler]",
+        map: [["a", 1]],
+        set: [2],
+        big: "3n",
+        missing: "NaN",
+      },
+    );
+    const shared = { value: 1 };
+    assert.deepEqual(toSerializable([shared, shared]), [shared, shared]);
+  },
+  "devtools in-process inspectors are sent a snapshot and then events": () => {
+    const [devtoolsEnd, inspectorEnd] = createInProcessTransport();
+    const received = [];
+    inspectorEnd.onMessage((message) => received.push(message));
+    const Greeting = () => {
+      useMemo(() => "hello", []);
+    };
+    const { unmount } = mount(Greeting);
+    const devtools = createDevtools({ transport: devtoolsEnd });
+    assert.deepEqual(received, [{ type: "snapshot", roots: [] }]);
+    received.length = 0;
+    const { unmount: unmountSecond } = mount(Greeting);
+    inspectorEnd.send({ type: "getSnapshot" });
+    assert.deepEqual(received, [
+      { type: "render", id: 1, parentId: undefined, name: "Greeting" },
+      {
+        type: "snapshot",
+        roots: [
+          {
+            id: 1,
+            name: "Greeting",
+            hooks: [
+              {
+                type: "useMemo",
+                index: 0,
+                value: "hello",
+                dependencies: [],
+                active: true,
+              },
+            ],
+            children: [],
+          },
+        ],
+      },
+    ]);
+    devtools.close();
+    unmount();
+    unmountSecond();
+    assert.equal(received.length, 2);
+  },
+  "devtools stream transports send newline-delimited JSON": () => {
+    const toInspector = new PassThrough();
+    const fromInspector = new PassThrough();
+    const written = [];
+    toInspector.on("data", (chunk) => written.push(String(chunk)));
+    const devtools = createDevtools({
+      transport: createStreamTransport(fromInspector, toInspector),
+    });
+    const Empty = () => renderChild(() => null);
+    const { unmount } = mount(Empty);
+    // Requests may arrive split across chunks
+    fromInspector.write('{"type":"getSn');
+    fromInspector.write('apshot"}\n');
+    return new Promise((resolve) => setImmediate(resolve)).then(() => {
+      assert.deepEqual(written.join("").split("\n").slice(0, -1), [
+        '{"type":"snapshot","roots":[]}',
+        '{"type":"render","id":1,"parentId":2,"name":"Anonymous"}',
+        '{"type":"render","id":2,"name":"Empty"}',
+        '{"type":"snapshot","roots":[{"id":2,"name":"Empty","hooks":[],' +
+          '"children":[{"id":1,"name":"Anonymous","hooks":[],"children":[]}]}]}',
+      ]);
+      unmount();
+      devtools.close();
+    });
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();
@@ -0,0 +1,1639 @@
+// The runtime shared by hooks.js, hooks-with-key.js and hooks-hybrid.js.
+// Every hook takes an explicit key as its first argument, and the slot
+// addressing strategy of the rendering instance decides which slot it uses.
+
+let activeInstance = undefined;
+
+// Instances waiting to be rerendered by the next flush
+const pendingInstances = new Set();
+// Effect slots waiting to be run after the next render is committed
+const pendingLayoutEffects = new Set();
+const pendingEffects = new Set();
+let batchDepth = 0;
+let isFlushing = false;
+let isRenderFlushScheduled = false;
+let isEffectFlushScheduled = false;
+let scheduler = (callback) => queueMicrotask(callback);
+// Wrappers around every useReducer reducer, outermost first
+let reducerMiddleware = [];
+let uncaughtErrorHandler = undefined;
+// Renders per instance since the last time all updates settled
+const renderCounts = new Map();
+let renderLimit = 50;
+let activeEffectSlot = undefined;
+let isDevMode = false;
+// Instances rendered since commit listeners were last called
+const committedInstances = new Set();
+let commitListeners = [];
+let runtimeListeners = [];
+// Instances started by mount() or hydrate(), which hot swaps search
+const mountedRoots = new Set();
+// Replaced components, each mapped to the component which replaced it
+const swappedComponents = new WeakMap();
+// Modules whose stack frames are skipped when recording call sites
+const runtimeModules = new Set([import.meta.url]);
+
+// Slots are addressed by their position in the call order
+export const positionalAddressing = {
+  resolve(instance, type, key) {
+    if (key !== undefined) {
+      throw new Error(
+        `Invariant: ${type}() called with key ${String(key)}, but ` +
+          `${getComponentName(instance)} uses positional hooks!`,
+      );
+    }
+    const index = instance.hookStateIndex;
+    instance.hookStateIndex += 1;
+    return index;
+  },
+  validate(instance, type, index, slot) {
+    // Every render after the first must call the same hooks in the same order
+    if (instance.initialized && (!slot || slot.type !== type)) {
+      throw createHookOrderError(instance, index, slot, type);
+    }
+  },
+  endRender(instance) {
+    if (
+      instance.initialized &&
+      instance.hookState.has(instance.hookStateIndex)
+    ) {
+      throw createMissingHookError(instance);
+    }
+  },
+  toAddress(instance, key) {
+    throw new Error(
+      `Invariant: forgetKey(${String(key)}) called, but ` +
+        `${getComponentName(instance)} uses positional hooks!`,
+    );
+  },
+};
+
+// Slots are addressed by the key passed to each hook, so hooks may be skipped
+export const keyedAddressing = {
+  resolve(instance, type, key) {
+    if (key === undefined) {
+      throw new Error(`Invariant: ${type}() called without a key!`);
+    }
+    return claimAddress(
+      instance,
+      keyedAddressing.toAddress(instance, key),
+      type,
+    );
+  },
+  validate(instance, type, address, slot) {
+    if (slot && slot.type !== type) {
+      throw createRulesError(
+        instance,
+        `${getComponentName(instance)} called ` +
+          `${formatHook({ type, address, isKeyed: true })}, but called ` +
+          `${slot.type} with that key on a previous render.`,
+        slot,
+        type,
+      );
+    }
+  },
+  endRender() {},
+  toAddress(instance, key) {
+    return getScopedKey(instance, key);
+  },
+};
+
+// Hooks are positional unless given a key, which is always kept as a string
+// so that it can never collide with a position
+export const hybridAddressing = {
+  resolve(instance, type, key) {
+    return key === undefined
+      ? positionalAddressing.resolve(instance, type, key)
+      : claimAddress(instance, hybridAddressing.toAddress(instance, key), type);
+  },
+  validate(instance, type, address, slot) {
+    const addressing =
+      typeof address === "number" ? positionalAddressing : keyedAddressing;
+    addressing.validate(instance, type, address, slot);
+  },
+  endRender(instance) {
+    positionalAddressing.endRender(instance);
+  },
+  toAddress(instance, key) {
+    return String(getScopedKey(instance, key));
+  },
+};
+
+export function createRuntime(addressing, moduleUrl) {
+  // Frames from the adapter module are skipped just like this module's
+  if (moduleUrl) {
+    runtimeModules.add(moduleUrl);
+  }
+
+  function mount(Component, props = {}) {
+    // The component's instance state
+    const instance = createInstance(
+      Component,
+      props,
+      activeInstance,
+      addressing,
+    );
+    return start(instance);
+  }
+
+  function hydrate(Component, props = {}, state, options) {
+    // Resume an instance tree from the state serialized by renderToString
+    const instance = createInstance(
+      Component,
+      props,
+      activeInstance,
+      addressing,
+    );
+    const onMismatch = options?.onMismatch ?? throwHydrationMismatch;
+    instance.hydration = createHydration(
+      typeof state === "string" ? parseServerState(state) : state,
+      onMismatch,
+    );
+    if (!instance.hydration) {
+      onMismatch(
+        `the server state of ${getComponentName(instance)} is missing or ` +
+          `malformed.`,
+      );
+    }
+    return start(instance);
+  }
+
+  function renderToString(Component, props = {}) {
+    // Render once without running effects, so nothing is left to clean up
+    const instance = createInstance(
+      Component,
+      props,
+      activeInstance,
+      addressing,
+    );
+    instance.isStatic = true;
+    flushSync(() => {
+      renderSafely(instance);
+    });
+    return {
+      html: String(instance.output ?? ""),
+      state: JSON.stringify(serializeInstance(instance)),
+    };
+  }
+
+  function renderChild(Component, props = {}) {
+    return renderChildInstance(Component, props, addressing).output;
+  }
+
+  return { mount, hydrate, renderChild, renderToString };
+}
+
+function start(instance) {
+  // Render the component, along with any updates it triggers
+  try {
+    flushSync(() => {
+      renderSafely(instance);
+    });
+  } catch (error) {
+    // The caller gets no handle, so nothing may be left mounted
+    flushSync(() => {
+      unmountInstance(instance);
+    });
+    throw error;
+  }
+  mountedRoots.add(instance);
+
+  // The handle's methods do not use this, so they can be destructured
+  return {
+    rerender(props = {}) {
+      if (instance.isUnmounted) {
+        throw new Error("Invariant: rerender() called after unmount!");
+      }
+      instance.props = props;
+      flushSync(() => {
+        renderSafely(instance);
+      });
+    },
+    unmount() {
+      // Unmount cleans up effects, and only does so once
+      if (instance.isUnmounted) {
+        return;
+      }
+      mountedRoots.delete(instance);
+      flushSync(() => {
+        unmountInstance(instance);
+      });
+    },
+    get isMounted() {
+      return !instance.isUnmounted;
+    },
+    getHookState() {
+      return getHookState(instance);
+    },
+  };
+}
+
+function getHookState(instance) {
+  // A snapshot of the instance's slots, for inspection
+  return [...instance.hookState].map(([address, slot]) => ({
+    address,
+    type: slot.type,
+    value: slot.value,
+    dependencies: slot.dependencies,
+    active: slot.active,
+  }));
+}
+
+export function renderChildInstance(
+  Component,
+  props = {},
+  addressing = activeInstance?.addressing,
+) {
+  // Children use the parent's slot addressing unless a runtime chooses one
+  if (activeInstance === undefined) {
+    throw new Error("Invariant: renderChild() called outside of a component!");
+  }
+  const instance = activeInstance;
+  const { key, ...childProps } = props;
+  Component = getSwappedComponent(Component);
+
+  // Children are matched by explicit key, or by call position when unkeyed
+  const childId =
+    key === undefined ? `index:${instance.childIndex}` : `key:${key}`;
+  instance.childIndex += 1;
+  if (instance.nextChildren.has(childId)) {
+    throw new Error(`Invariant: duplicate child key ${key}!`);
+  }
+
+  let child = instance.children.get(childId);
+  if (
+    !child ||
+    child.Component !== Component ||
+    child.addressing !== addressing
+  ) {
+    // A different component at the same position starts from scratch
+    child = createInstance(Component, childProps, instance, addressing);
+    child.childId = childId;
+    child.hydration = instance.hydration && hydrateChild(child, childId);
+  } else {
+    child.props = childProps;
+  }
+  instance.nextChildren.set(childId, child);
+
+  renderSafely(child);
+  return child;
+}
+
+export function isRendering() {
+  return activeInstance !== undefined;
+}
+
+export function batch(fn) {
+  // Updates made within fn are rendered once, when the outermost batch ends
+  batchDepth += 1;
+  try {
+    return fn();
+  } finally {
+    batchDepth -= 1;
+    if (batchDepth === 0) {
+      flushUpdates(false);
+    }
+  }
+}
+
+export function flushSync(fn) {
+  // Render pending updates and run all effects now, even when inside of a batch
+  batchDepth += 1;
+  try {
+    return fn?.();
+  } finally {
+    // Updates made before fn threw are still rendered
+    batchDepth -= 1;
+    flushUpdates(true);
+  }
+}
+
+export function setScheduler(newScheduler) {
+  scheduler = newScheduler;
+}
+
+export function setRenderLimit(limit) {
+  renderLimit = limit;
+}
+
+export function setDevMode(enabled) {
+  // Dev mode records where each hook was called to explain rule violations
+  isDevMode = enabled;
+}
+
+function scheduleRender(instance) {
+  pendingInstances.add(instance);
+  if (batchDepth > 0 || isFlushing || isRenderFlushScheduled) {
+    // Picked up by the batch or flush already in progress
+    return;
+  }
+  isRenderFlushScheduled = true;
+  scheduler(() => {
+    isRenderFlushScheduled = false;
+    flushUpdates(false);
+  });
+}
+
+function scheduleEffects() {
+  if (isEffectFlushScheduled) {
+    return;
+  }
+  isEffectFlushScheduled = true;
+  scheduler(() => {
+    isEffectFlushScheduled = false;
+    flushUpdates(true);
+  });
+}
+
+function flushUpdates(shouldRunEffects) {
+  // Updates made while rendering are picked up once the render finishes
+  if (isFlushing || activeInstance !== undefined) {
+    return;
+  }
+  isFlushing = true;
+  try {
+    do {
+      while (pendingInstances.size > 0) {
+        // Render parents first, which also rerenders their pending children
+        let next = undefined;
+        for (const instance of pendingInstances) {
+          if (!next || instance.depth < next.depth) {
+            next = instance;
+          }
+        }
+        const renderCount = (renderCounts.get(next) ?? 0) + 1;
+        renderCounts.set(next, renderCount);
+        if (renderCount > renderLimit) {
+          // Stop rendering a component which keeps updating itself
+          pendingInstances.delete(next);
+          handleError(next, createRenderLoopError(next));
+          continue;
+        }
+        renderSafely(next);
+      }
+      notifyCommit();
+      // Layout effects run as soon as the render is committed
+      runEffects(pendingLayoutEffects);
+      if (shouldRunEffects) {
+        runEffects(pendingEffects);
+      }
+    } while (
+      pendingInstances.size > 0 ||
+      (shouldRunEffects && pendingEffects.size > 0)
+    );
+  } finally {
+    isFlushing = false;
+    if (pendingInstances.size === 0 && pendingEffects.size === 0) {
+      renderCounts.clear();
+    }
+  }
+  if (pendingEffects.size > 0) {
+    // Remaining effects are deferred until after the render is committed
+    scheduleEffects();
+  }
+}
+
+function createRenderLoopError(instance) {
+  let message =
+    `Too many renders of ${getComponentName(instance)}: ` +
+    `rendered more than ${renderLimit} times before updates settled.`;
+  const { slot, effectSlot } = instance.lastUpdate ?? {};
+  if (slot) {
+    message += ` The last update was made by ${describeSlot(slot)}`;
+    if (effectSlot) {
+      message +=
+        ` from ${describeSlot(effectSlot)}` +
+        ` of ${getComponentName(effectSlot.instance)}`;
+    }
+    message += ".";
+  }
+  return new Error(message);
+}
+
+function getComponentName(instance) {
+  return (
+    instance.Component.displayName || instance.Component.name || "Anonymous"
+  );
+}
+
+// Hooks are named by their key, or by their index when positional, the same
+// way in the runtime's messages and in the tools following it
+export function describeHook({ address, isKeyed, type }) {
+  return isKeyed ? { type, key: address } : { type, index: address };
+}
+
+export function formatHook(hook) {
+  // Without a type, only says where the hook is
+  const { type, key, index } = describeHook(hook);
+  const place =
+    index === undefined ? `with key ${String(key)}` : `at slot ${index}`;
+  return type === undefined ? place : `${type} ${place}`;
+}
+
+function describeSlot(slot) {
+  return formatHook({
+    type: slot.type,
+    address: slot.address,
+    isKeyed: isKeyedAddress(slot.instance, slot.address),
+  });
+}
+
+function isKeyedAddress(instance, address) {
+  // Keyed addressing may use numbers as keys, so the type alone is not enough
+  return instance.addressing === keyedAddressing || typeof address !== "number";
+}
+
+function queueEffect(slot) {
+  if (slot.instance.isStatic) {
+    return;
+  } else if (slot.type === "useEffect") {
+    pendingEffects.add(slot);
+  } else {
+    // Store subscriptions are made as soon as the render is committed
+    pendingLayoutEffects.add(slot);
+  }
+}
+
+function runEffects(slots) {
+  const toRun = [...slots];
+  const failures = [];
+  slots.clear();
+
+  // All cleanups are run before any of the new effects
+  for (const slot of toRun) {
+    const cleanupFn = slot.cleanupFn;
+    slot.cleanupFn = undefined;
+    try {
+      // Async effects still running are told to stop
+      slot.abortController?.abort();
+      slot.abortController = undefined;
+      if (cleanupFn) {
+        notifyRuntime("cleanup", slot.instance, slot);
+        cleanupFn();
+      }
+    } catch (error) {
+      failures.push({ instance: slot.instance, error });
+    }
+  }
+  for (const slot of toRun) {
+    const effectFn = slot.effectFn;
+    slot.effectFn = undefined;
+    if (!effectFn) {
+      continue;
+    }
+    const controller = new AbortController();
+    slot.abortController = controller;
+    if (slot.pending) {
+      // An async effect only runs again once its previous run has settled
+      const runAfterPending = () => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        try {
+          runEffect(slot, effectFn, controller);
+        } catch (error) {
+          handleAsyncError(slot.instance, error);
+        }
+      };
+      trackPendingEffect(
+        slot,
+        slot.pending.then(runAfterPending, runAfterPending),
+      );
+      continue;
+    }
+    try {
+      runEffect(slot, effectFn, controller);
+    } catch (error) {
+      failures.push({ instance: slot.instance, error });
+    }
+  }
+
+  // A failing effect does not prevent the remaining effects from running
+  for (const { instance, error } of failures) {
+    handleError(instance, error);
+  }
+}
+
+function runEffect(slot, effectFn, controller) {
+  // Each run gets a signal which is aborted before its cleanup
+  activeEffectSlot = slot;
+  notifyRuntime("effect", slot.instance, slot);
+  try {
+    const result = effectFn(controller.signal);
+    if (typeof result?.then === "function") {
+      trackPendingEffect(slot, settleAsyncEffect(slot, result, controller));
+    } else if (result === undefined || typeof result === "function") {
+      slot.cleanupFn = result;
+    } else {
+      throw new Error(
+        `Invariant: ${slot.type}() returned ${String(result)}, but effects ` +
+          `may only return a cleanup function or a promise!`,
+      );
+    }
+  } finally {
+    activeEffectSlot = undefined;
+  }
+}
+
+function settleAsyncEffect(slot, promise, controller) {
+  // A promise may resolve to a cleanup function, and rejections go to the
+  // nearest error boundary unless the run was aborted
+  return Promise.resolve(promise).then(
+    (cleanupFn) => {
+      if (typeof cleanupFn !== "function") {
+        return;
+      }
+      if (!controller.signal.aborted) {
+        slot.cleanupFn = cleanupFn;
+        return;
+      }
+      try {
+        cleanupFn();
+      } catch (error) {
+        handleAsyncError(slot.instance, error);
+      }
+    },
+    (error) => {
+      const isAbort =
+        error === controller.signal.reason || error?.name === "AbortError";
+      if (!(controller.signal.aborted && isAbort)) {
+        handleAsyncError(slot.instance, error);
+      }
+    },
+  );
+}
+
+function trackPendingEffect(slot, promise) {
+  const pending = promise.finally(() => {
+    if (slot.pending === pending) {
+      slot.pending = undefined;
+    }
+  });
+  slot.pending = pending;
+}
+
+function isEffectSlot(slot) {
+  return (
+    slot.type === "useEffect" ||
+    slot.type === "useLayoutEffect" ||
+    slot.type === "useSyncExternalStore"
+  );
+}
+
+function cleanupEffectSlot(slot) {
+  // Queue cleanup, dropping any effect which has not run yet
+  slot.effectFn = undefined;
+  queueEffect(slot);
+}
+
+export function addCommitListener(listener) {
+  // Called with the instances rendered by a flush, before its effects run
+  commitListeners = [...commitListeners, listener];
+  return () => {
+    commitListeners = commitListeners.filter((l) => l !== listener);
+  };
+}
+
+export function addRuntimeListener(listener) {
+  // Called with every render, unmount, state update, effect run and cleanup
+  runtimeListeners = [...runtimeListeners, listener];
+  return () => {
+    runtimeListeners = runtimeListeners.filter((l) => l !== listener);
+  };
+}
+
+function notifyRuntime(type, instance, slot, details) {
+  // Static renders are never unmounted, so they are not reported
+  if (runtimeListeners.length === 0 || instance.isStatic) {
+    return;
+  }
+  const event = {
+    type,
+    instance,
+    hook: slot && inspectSlot(slot),
+    ...details,
+  };
+  for (const listener of runtimeListeners) {
+    listener(event);
+  }
+}
+
+export function inspectInstance(instance) {
+  // A read-only view of an instance for tools following the runtime
+  return {
+    name: getComponentName(instance),
+    parent: instance.parent,
+    childId: instance.childId,
+    isMounted: !instance.isUnmounted,
+    renderCount: instance.renderCount,
+    hooks: [...instance.hookState.values()].map(inspectSlot),
+  };
+}
+
+function inspectSlot(slot) {
+  return {
+    address: slot.address,
+    isKeyed: isKeyedAddress(slot.instance, slot.address),
+    type: slot.type,
+    value: slot.value,
+    dependencies: slot.dependencies,
+    active: slot.active,
+  };
+}
+
+function notifyCommit() {
+  if (committedInstances.size === 0) {
+    return;
+  }
+  const instances = [...committedInstances];
+  committedInstances.clear();
+  for (const listener of commitListeners) {
+    listener(instances);
+  }
+}
+
+export function onUncaughtError(handler) {
+  // Receives errors which are not caught by any error boundary
+  const prevHandler = uncaughtErrorHandler;
+  uncaughtErrorHandler = handler;
+  return () => {
+    uncaughtErrorHandler = prevHandler;
+  };
+}
+
+function handleError(instance, error) {
+  if (typeof error?.then === "function") {
+    suspend(instance, error);
+    return;
+  }
+  // Errors are caught by the nearest boundary above the failed component
+  for (let node = instance.parent; node; node = node.parent) {
+    const boundary = node.errorBoundary;
+    if (boundary && boundary.value === undefined) {
+      setSlotValue(boundary, error);
+      return;
+    }
+  }
+  if (uncaughtErrorHandler) {
+    uncaughtErrorHandler(error);
+    return;
+  }
+  throw error;
+}
+
+function handleAsyncError(instance, error) {
+  // Rethrowing within a promise chain would be an unhandled rejection, which
+  // ends the process in Node, so errors nothing handles are logged instead
+  try {
+    handleError(instance, error);
+  } catch (uncaughtError) {
+    console.error(uncaughtError);
+  }
+}
+
+function suspend(instance, promise) {
+  // A thrown promise shows the nearest suspense fallback until it settles
+  for (let node = instance.parent; node; node = node.parent) {
+    const boundary = node.suspenseBoundary;
+    if (boundary) {
+      const settle = () => {
+        boundary.pending.delete(promise);
+        if (boundary.pending.size === 0) {
+          setSlotValue(boundary, false);
+        }
+      };
+      boundary.pending.add(promise);
+      setSlotValue(boundary, true);
+      promise.then(settle, settle);
+      return;
+    }
+  }
+  handleError(
+    instance,
+    new Error(
+      `Invariant: ${getComponentName(instance)} suspended, but there is no ` +
+        `suspense boundary above it!`,
+    ),
+  );
+}
+
+function createInstance(Component, props, parent, addressing) {
+  return {
+    Component: getSwappedComponent(Component),
+    props,
+    parent,
+    // Set for children, which are matched to their parent's render by id
+    childId: undefined,
+    addressing,
+    depth: parent ? parent.depth + 1 : 0,
+    isStatic: parent?.isStatic ?? false,
+    hydration: undefined,
+    output: undefined,
+    initialized: false,
+    isUnmounted: false,
+    isHotSwapping: false,
+    renderCount: 0,
+    hookStateIndex: 0,
+    hookState: new Map(),
+    usedKeys: new Set(),
+    keyScope: [],
+    childIndex: 0,
+    children: new Map(),
+    nextChildren: new Map(),
+    providers: new Map(),
+    prevProviders: new Map(),
+    subscriptions: new Set(),
+    prevSubscriptions: new Set(),
+    // Slots updated since the last render, which are why it rerenders
+    updatedSlots: new Set(),
+    errorBoundary: undefined,
+    suspenseBoundary: undefined,
+    lastUpdate: undefined,
+  };
+}
+
+function unmountInstance(instance) {
+  instance.isUnmounted = true;
+  notifyRuntime("unmount", instance);
+  pendingInstances.delete(instance);
+  instance.children.forEach((child) => {
+    unmountInstance(child);
+  });
+  instance.children.clear();
+  instance.subscriptions.forEach((provider) => {
+    provider.consumers.delete(instance);
+  });
+  instance.subscriptions.clear();
+  instance.hookState.forEach((slot) => {
+    if (isEffectSlot(slot)) {
+      cleanupEffectSlot(slot);
+    }
+  });
+}
+
+function renderSafely(instance) {
+  try {
+    render(instance);
+  } catch (error) {
+    handleError(instance, error);
+  }
+}
+
+function render(instance) {
+  // A component may render while another is rendering
+  const prevInstance = activeInstance;
+
+  activeInstance = instance;
+  pendingInstances.delete(instance);
+  const reason = getRenderReason(instance, prevInstance);
+  const updatedSlots = [...instance.updatedSlots];
+  instance.updatedSlots.clear();
+  // Renders are only timed while something listens to the runtime
+  const startTime = runtimeListeners.length > 0 ? performance.now() : undefined;
+
+  try {
+    // Reset execution index and keys before calling
+    instance.renderCount += 1;
+    instance.hookStateIndex = 0;
+    instance.usedKeys = new Set();
+    instance.keyScope = [];
+    instance.childIndex = 0;
+    instance.nextChildren = new Map();
+    instance.errorBoundary = undefined;
+    instance.suspenseBoundary = undefined;
+    // Providers and subscriptions are kept only if called again
+    instance.prevProviders = instance.providers;
+    instance.providers = new Map();
+    instance.prevSubscriptions = instance.subscriptions;
+    instance.subscriptions = new Set();
+    instance.output = instance.Component(instance.props);
+    if (instance.isHotSwapping) {
+      finishHotSwap(instance);
+    }
+    instance.addressing.endRender(instance);
+    if (instance.hydration) {
+      finishHydration(instance);
+    }
+    instance.initialized = true;
+  } catch (error) {
+    discardRender(instance);
+    throw error;
+  } finally {
+    // Restore previous active instance, even if the component threw
+    activeInstance = prevInstance;
+    instance.isHotSwapping = false;
+  }
+
+  removeInactiveSlots(instance);
+  committedInstances.add(instance);
+  notifyRuntime("render", instance, undefined, {
+    reason,
+    updates: updatedSlots.map(inspectSlot),
+    startTime,
+    duration: startTime === undefined ? 0 : performance.now() - startTime,
+  });
+
+  // Unmount children which were not rendered this time
+  for (const [childId, child] of instance.children) {
+    if (instance.nextChildren.get(childId) !== child) {
+      unmountInstance(child);
+    }
+  }
+  instance.children = instance.nextChildren;
+  finishContexts(instance);
+}
+
+function finishContexts(instance) {
+  // Consumers of a provider which was skipped fall back to the one above it
+  for (const provider of instance.prevProviders.values()) {
+    for (const consumer of provider.consumers) {
+      consumer.subscriptions.delete(provider);
+      scheduleRender(consumer);
+    }
+  }
+  instance.prevProviders = new Map();
+  // Stop rerendering for contexts which are no longer read
+  for (const provider of instance.prevSubscriptions) {
+    if (!instance.subscriptions.has(provider)) {
+      provider.consumers.delete(instance);
+    }
+  }
+  instance.prevSubscriptions = new Set();
+}
+
+function getRenderReason(instance, prevInstance) {
+  if (!instance.initialized) {
+    return "mount";
+  } else if (instance.updatedSlots.size > 0) {
+    return "update";
+  } else if (prevInstance !== undefined && prevInstance === instance.parent) {
+    return "parent";
+  }
+  // Rerendered from outside, e.g. with new props or to retry after an error
+  return "rerender";
+}
+
+function removeInactiveSlots(instance) {
+  // Clean up skipped hooks, always for effects and otherwise as retained
+  const toRemove = [];
+  const limited = [];
+  for (const [address, slot] of instance.hookState) {
+    const retention = getRetention(instance, slot);
+    slot.active = slot.lastActiveRender === instance.renderCount;
+    if (slot.active) {
+      continue;
+    } else if (isEffectSlot(slot)) {
+      cleanupEffectSlot(slot);
+      toRemove.push(address);
+    } else if (
+      retention === "inactive" ||
+      instance.renderCount - slot.lastActiveRender > retention.maxAge
+    ) {
+      toRemove.push(address);
+    } else if (retention.maxInactive !== undefined) {
+      limited.push({ address, slot, maxInactive: retention.maxInactive });
+    }
+  }
+  // Keep only the most recently active slots under a maxInactive policy
+  limited.sort((a, b) => b.slot.lastActiveRender - a.slot.lastActiveRender);
+  limited.forEach(({ address, maxInactive }, rank) => {
+    if (rank >= maxInactive) {
+      toRemove.push(address);
+    }
+  });
+  for (const address of toRemove) {
+    instance.hookState.delete(address);
+  }
+}
+
+function getRetention(instance, slot) {
+  // Retention is set per hook, or per component with Component.hookRetention
+  const retention =
+    slot.retention ?? instance.Component.hookRetention ?? "forever";
+  if (
+    retention !== "forever" &&
+    retention !== "inactive" &&
+    retention?.maxAge === undefined &&
+    retention?.maxInactive === undefined
+  ) {
+    throw new Error(`Invariant: unknown hook retention policy ${retention}!`);
+  }
+  return retention;
+}
+
+function discardRender(instance) {
+  // Children first created by the failed render are thrown away
+  for (const [childId, child] of instance.nextChildren) {
+    if (instance.children.get(childId) !== child) {
+      unmountInstance(child);
+    }
+  }
+  instance.nextChildren = new Map();
+
+  // A failed render keeps the providers and subscriptions it had before
+  for (const [context, provider] of instance.prevProviders) {
+    if (!instance.providers.has(context)) {
+      instance.providers.set(context, provider);
+    }
+  }
+  instance.prevProviders = new Map();
+  instance.prevSubscriptions.forEach((provider) => {
+    instance.subscriptions.add(provider);
+  });
+  instance.prevSubscriptions = new Set();
+
+  // Slots from a failed first render would be misaligned on the next attempt
+  if (!instance.initialized) {
+    instance.hookState.forEach((slot) => {
+      if (isEffectSlot(slot)) {
+        slot.effectFn = undefined;
+      }
+    });
+    instance.hookState = new Map();
+  }
+}
+
+// Only state is serialized, everything else is recalculated when hydrating
+function isSerializedSlot(slot) {
+  return slot.type === "useState" || slot.type === "useReducer";
+}
+
+function serializeInstance(instance) {
+  const hooks = [];
+  for (const [address, slot] of instance.hookState) {
+    if (slot.active && isSerializedSlot(slot)) {
+      hooks.push([address, slot.type, slot.value]);
+    }
+  }
+  const children = [];
+  for (const [childId, child] of instance.children) {
+    children.push([childId, serializeInstance(child)]);
+  }
+  return { component: getComponentName(instance), hooks, children };
+}
+
+function parseServerState(state) {
+  try {
+    return JSON.parse(state);
+  } catch {
+    return undefined;
+  }
+}
+
+function isServerNode(node) {
+  // The shape written by serializeInstance, down to the child nodes
+  return (
+    typeof node === "object" &&
+    node !== null &&
+    Array.isArray(node.hooks) &&
+    node.hooks.every(Array.isArray) &&
+    Array.isArray(node.children) &&
+    node.children.every(
+      (entry) =>
+        Array.isArray(entry) &&
+        typeof entry[1] === "object" &&
+        entry[1] !== null,
+    )
+  );
+}
+
+function createHydration(node, onMismatch) {
+  // Returns undefined for state which did not come from renderToString
+  if (!isServerNode(node)) {
+    return undefined;
+  }
+  return {
+    node,
+    onMismatch,
+    claimedHooks: new Set(),
+    claimedChildren: new Set(),
+    mismatches: [],
+  };
+}
+
+function throwHydrationMismatch(message) {
+  throw new Error(`Hydration mismatch: ${message}`);
+}
+
+function hydrateSlot(slot) {
+  // A new slot takes its value from the server state at the same address
+  const hydration = slot.instance.hydration;
+  const name = getComponentName(slot.instance);
+  const entry = hydration.node.hooks.find(
+    ([address]) => address === slot.address,
+  );
+  if (!entry) {
+    if (isSerializedSlot(slot)) {
+      hydration.mismatches.push(
+        `${name} called ${describeSlot(slot)}, which has no server state.`,
+      );
+    }
+    return;
+  }
+  hydration.claimedHooks.add(entry);
+  const [, type, value] = entry;
+  if (type !== slot.type) {
+    hydration.mismatches.push(
+      `${name} called ${describeSlot(slot)}, but the server called ${type} ` +
+        `there.`,
+    );
+    return;
+  }
+  slot.value = value;
+}
+
+function hydrateChild(child, childId) {
+  const hydration = child.parent.hydration;
+  const name = getComponentName(child);
+  const entry = hydration.node.children.find(([id]) => id === childId);
+  if (!entry) {
+    hydration.mismatches.push(
+      `${getComponentName(child.parent)} rendered ${name} as child ` +
+        `${childId}, which the server did not render.`,
+    );
+    return undefined;
+  }
+  hydration.claimedChildren.add(entry);
+  const [, node] = entry;
+  const childHydration = createHydration(node, hydration.onMismatch);
+  if (!childHydration) {
+    hydration.mismatches.push(
+      `the server state of ${name} as child ${childId} of ` +
+        `${getComponentName(child.parent)} is malformed.`,
+    );
+    return undefined;
+  }
+  if (node.component !== name) {
+    hydration.mismatches.push(
+      `${getComponentName(child.parent)} rendered ${name} as child ` +
+        `${childId}, but the server rendered ${node.component} there.`,
+    );
+    return undefined;
+  }
+  return childHydration;
+}
+
+function finishHydration(instance) {
+  // Only the first render is hydrated, whether or not it matched
+  const hydration = instance.hydration;
+  const name = getComponentName(instance);
+  instance.hydration = undefined;
+  for (const entry of hydration.node.hooks) {
+    if (!hydration.claimedHooks.has(entry)) {
+      const [address, type] = entry;
+      const isKeyed = isKeyedAddress(instance, address);
+      hydration.mismatches.push(
+        `the server called ${formatHook({ type, address, isKeyed })} of ` +
+          `${name}, but it was not called.`,
+      );
+    }
+  }
+  for (const entry of hydration.node.children) {
+    if (!hydration.claimedChildren.has(entry)) {
+      const [childId, node] = entry;
+      hydration.mismatches.push(
+        `the server rendered ${node.component} as child ${childId} of ` +
+          `${name}, but it was not rendered.`,
+      );
+    }
+  }
+  for (const message of hydration.mismatches) {
+    hydration.onMismatch(message);
+  }
+}
+
+export function withKeyScope(prefix, fn) {
+  if (activeInstance === undefined) {
+    throw new Error("Invariant: withKeyScope() called outside of a component!");
+  }
+  // Hook keys used within fn are namespaced as "prefix/key"
+  const instance = activeInstance;
+  instance.keyScope.push(prefix);
+  try {
+    return fn();
+  } finally {
+    instance.keyScope.pop();
+  }
+}
+
+export function createKeyedHook(hook) {
+  // Lets a custom hook be called more than once per component, each call
+  // with its own key
+  return (key, ...args) => withKeyScope(key, () => hook(...args));
+}
+
+function getScopedKey(instance, key) {
+  return instance.keyScope.length > 0
+    ? [...instance.keyScope, key].map(String).join("/")
+    : key;
+}
+
+function claimAddress(instance, address, type) {
+  if (instance.usedKeys.has(address)) {
+    throw new Error(
+      `Invariant: ${type}() called with key ${String(address)} which was ` +
+        `already used while rendering ${getComponentName(instance)}!`,
+    );
+  }
+  instance.usedKeys.add(address);
+  return address;
+}
+
+export function forgetKey(key) {
+  if (activeInstance === undefined) {
+    throw new Error("Invariant: forgetKey() called outside of a component!");
+  }
+  // The next hook called with this key starts over from its initial value
+  const instance = activeInstance;
+  const address = instance.addressing.toAddress(instance, key);
+  const slot = instance.hookState.get(address);
+  if (slot && isEffectSlot(slot)) {
+    cleanupEffectSlot(slot);
+  }
+  instance.hookState.delete(address);
+}
+
+function useSlot(type, key, options, initSlot) {
+  if (activeInstance === undefined) {
+    throw new Error(`Invariant: ${type}() called outside of a component!`);
+  }
+  const instance = activeInstance;
+  const address = instance.addressing.resolve(instance, type, key);
+  let slot = instance.hookState.get(address);
+  if (instance.isHotSwapping) {
+    // The hooks may change in a hot swap, so slots are matched up instead
+    slot = reconcileSwappedSlot(instance, type, address, slot);
+  } else {
+    instance.addressing.validate(instance, type, address, slot);
+  }
+  if (!slot) {
+    // On a new address, add a slot initialized by the hook
+    slot = { type, address, instance, active: true };
+    initSlot(slot);
+    if (instance.hydration) {
+      hydrateSlot(slot);
+    }
+    instance.hookState.set(address, slot);
+  }
+  slot.active = true;
+  slot.lastActiveRender = instance.renderCount;
+  slot.retention = options?.retention;
+  if (isDevMode) {
+    slot.callSite = getCallSite();
+  }
+  return slot;
+}
+
+export function hotSwap(prevComponent, nextComponent) {
+  // Mounted instances of prevComponent render nextComponent instead, keeping
+  // the hook state which still lines up with the hooks it calls
+  swappedComponents.set(prevComponent, nextComponent);
+  swappedComponents.delete(nextComponent);
+  const swapped = [];
+  const visit = (instance) => {
+    if (instance.Component === prevComponent) {
+      swapped.push(instance);
+    }
+    instance.children.forEach(visit);
+  };
+  mountedRoots.forEach(visit);
+  flushSync(() => {
+    for (const instance of swapped) {
+      instance.Component = nextComponent;
+      instance.isHotSwapping = true;
+      scheduleRender(instance);
+    }
+  });
+  return swapped.length;
+}
+
+function getSwappedComponent(Component) {
+  // Code still referring to a replaced component renders its replacement
+  while (swappedComponents.has(Component)) {
+    Component = swappedComponents.get(Component);
+  }
+  return Component;
+}
+
+function reconcileSwappedSlot(instance, type, address, slot) {
+  if (!slot) {
+    return undefined;
+  } else if (slot.type !== type) {
+    // Positional slots after the first one which no longer lines up are
+    // shifted, so they start over too
+    const isPositional =
+      typeof address === "number" && instance.addressing !== keyedAddressing;
+    for (const other of [...instance.hookState.keys()]) {
+      if (
+        other === address ||
+        (isPositional && typeof other === "number" && other > address)
+      ) {
+        discardSlot(instance, other);
+      }
+    }
+    return undefined;
+  }
+  if (
+    slot.type === "useMemo" ||
+    slot.type === "useCallback" ||
+    slot.type === "useEffect" ||
+    slot.type === "useLayoutEffect"
+  ) {
+    // These may depend on the replaced code, so they are recalculated and
+    // rerun as if their dependencies changed
+    slot.dependencies = undefined;
+  }
+  return slot;
+}
+
+function finishHotSwap(instance) {
+  // Positional slots past the last hook called no longer line up
+  for (const [address, slot] of [...instance.hookState]) {
+    if (
+      typeof address === "number" &&
+      instance.addressing !== keyedAddressing &&
+      slot.lastActiveRender !== instance.renderCount
+    ) {
+      discardSlot(instance, address);
+    }
+  }
+}
+
+function discardSlot(instance, address) {
+  // The slot's setter no longer rerenders, and its effect is cleaned up
+  const slot = instance.hookState.get(address);
+  slot.active = false;
+  if (isEffectSlot(slot)) {
+    cleanupEffectSlot(slot);
+  }
+  instance.hookState.delete(address);
+}
+
+function createRulesError(instance, summary, slot, type) {
+  let message = `Invariant: you broke the rules! ${summary}`;
+  if (isDevMode) {
+    if (slot?.callSite) {
+      message += `\n  previous: ${slot.type} called at ${slot.callSite}`;
+    }
+    if (type) {
+      message += `\n  current: ${type} called at ${getCallSite()}`;
+    }
+  }
+  return new Error(message);
+}
+
+function createHookOrderError(instance, index, slot, type) {
+  const expected = slot ? slot.type : "no hook";
+  return createRulesError(
+    instance,
+    `${getComponentName(instance)} called ` +
+      `${formatHook({ type, address: index, isKeyed: false })}, ` +
+      `but called ${expected} there on the previous render.`,
+    slot,
+    type,
+  );
+}
+
+function createMissingHookError(instance) {
+  const index = instance.hookStateIndex;
+  const slot = instance.hookState.get(index);
+  const count = [...instance.hookState.keys()].filter(
+    (address) => typeof address === "number",
+  ).length;
+  return createRulesError(
+    instance,
+    `${getComponentName(instance)} called ${index} hooks, but called ` +
+      `${count} on the previous render, starting with ` +
+      `${describeSlot(slot)}.`,
+    slot,
+  );
+}
+
+function getCallSite() {
+  // The first stack frame outside of the runtime modules is the hook's caller
+  const frames = new Error().stack.split("\n").slice(1);
+  const frame = frames.find(
+    (line) => ![...runtimeModules].some((url) => line.includes(url + ":")),
+  );
+  if (!frame) {
+    return "<unknown>";
+  }
+  const match = frame.match(/\((.*)\)$/) ?? frame.match(/at (.*)$/);
+  return match ? match[1] : frame.trim();
+}
+
+export function useState(key, initialValue, options) {
+  const slot = useSlot("useState", key, options, (slot) => {
+    slot.value =
+      typeof initialValue === "function" ? initialValue() : initialValue;
+    slot.setValue = (setter) => {
+      const newValue =
+        typeof setter === "function" ? setter(slot.value) : setter;
+      setSlotValue(slot, newValue);
+    };
+  });
+  return [slot.value, slot.setValue];
+}
+
+export function useReducer(key, reducer, initialArg, init, options) {
+  const slot = useSlot("useReducer", key, options, (slot) => {
+    slot.value = init ? init(initialArg) : initialArg;
+    slot.dispatch = (action) => {
+      const newValue = applyReducerMiddleware(slot.reducer, slot.value, action);
+      setSlotValue(slot, newValue);
+    };
+  });
+  // Dispatch always uses the most recently rendered reducer
+  slot.reducer = reducer;
+  return [slot.value, slot.dispatch];
+}
+
+export function addReducerMiddleware(middleware) {
+  // Middleware is called as middleware(state, action, next) and returns the
+  // next state, usually by calling next(state, action)
+  reducerMiddleware = [...reducerMiddleware, middleware];
+  return () => {
+    reducerMiddleware = reducerMiddleware.filter((m) => m !== middleware);
+  };
+}
+
+export function createReducerLogger(log = console.log) {
+  return (prevState, action, next) => {
+    const nextState = next(prevState, action);
+    log({ action, prevState, nextState });
+    return nextState;
+  };
+}
+
+function applyReducerMiddleware(reducer, state, action) {
+  const middleware = reducerMiddleware;
+  const next = (index, state, action) =>
+    index < middleware.length
+      ? middleware[index](state, action, (state, action) =>
+          next(index + 1, state, action),
+        )
+      : reducer(state, action);
+  return next(0, state, action);
+}
+
+export function setHookValue(instance, address, value) {
+  // Sets a slot's value as its setter would, for tools which restore state
+  const slot = instance.hookState.get(address);
+  if (!slot) {
+    const isKeyed = isKeyedAddress(instance, address);
+    throw new Error(
+      `Invariant: ${getComponentName(instance)} has no hook ` +
+        `${formatHook({ address, isKeyed })}!`,
+    );
+  }
+  setSlotValue(slot, value);
+}
+
+function setSlotValue(slot, newValue) {
+  if (slot.instance.isUnmounted) {
+    if (isDevMode) {
+      console.warn(
+        `Warning: ${describeSlot(slot)} of ` +
+          `${getComponentName(slot.instance)} was updated after it was ` +
+          `unmounted. The update was ignored.`,
+      );
+    }
+    return;
+  }
+  if (!Object.is(slot.value, newValue)) {
+    const prevValue = slot.value;
+    slot.value = newValue;
+    notifyRuntime("update", slot.instance, slot, { prevValue });
+    if (slot.active) {
+      slot.instance.updatedSlots.add(slot);
+      // Schedule rerender unless the hook was skipped by the last render
+      slot.instance.lastUpdate = { slot, effectSlot: activeEffectSlot };
+      scheduleRender(slot.instance);
+    }
+  }
+}
+
+export function shallowEqual(a, b) {
+  // Compares objects by their own enumerable properties
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (
+    typeof a !== "object" ||
+    typeof b !== "object" ||
+    a === null ||
+    b === null
+  ) {
+    return false;
+  }
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  return (
+    aKeys.length === bKeys.length &&
+    aKeys.every((key) => Object.hasOwn(b, key) && Object.is(a[key], b[key]))
+  );
+}
+
+// Dependencies are compared with Object.is, or with options.isEqual:
+// - omitted (undefined) dependencies change on every render
+// - [] never changes, so the hook only runs on the first render
+// - a change in the number of dependencies counts as a change
+function haveDependenciesChanged(
+  prevDependencies,
+  dependencies,
+  isEqual = Object.is,
+) {
+  if (prevDependencies === undefined || dependencies === undefined) {
+    return true;
+  }
+  if (prevDependencies.length !== dependencies.length) {
+    return true;
+  }
+  return dependencies.some(
+    (dependency, i) => !isEqual(prevDependencies[i], dependency),
+  );
+}
+
+export function useMemo(key, fn, dependencies, options) {
+  let isNew = false;
+  const slot = useSlot("useMemo", key, options, (slot) => {
+    isNew = true;
+    slot.value = fn();
+    slot.dependencies = dependencies;
+  });
+  const isHit =
+    !isNew &&
+    !haveDependenciesChanged(slot.dependencies, dependencies, options?.isEqual);
+  if (!isNew && !isHit) {
+    slot.dependencies = dependencies;
+    slot.value = fn();
+  }
+  notifyRuntime("memo", slot.instance, slot, { isHit });
+  return slot.value;
+}
+
+export function useRef(key, initialValue, options) {
+  // The slot holds a mutable box
+  const slot = useSlot("useRef", key, options, (slot) => {
+    slot.value = { current: initialValue };
+  });
+  return slot.value;
+}
+
+export function useCallback(key, fn, dependencies, options) {
+  let isNew = false;
+  const slot = useSlot("useCallback", key, options, (slot) => {
+    isNew = true;
+    slot.value = fn;
+    slot.dependencies = dependencies;
+  });
+  if (
+    !isNew &&
+    haveDependenciesChanged(slot.dependencies, dependencies, options?.isEqual)
+  ) {
+    slot.dependencies = dependencies;
+    slot.value = fn;
+  }
+  return slot.value;
+}
+
+export function createContext(defaultValue) {
+  return { defaultValue };
+}
+
+// Context is looked up through the component tree rather than stored in a
+// hook slot, so neither of these hooks take part in slot addressing
+export function useContextProvider(context, value) {
+  if (activeInstance === undefined) {
+    throw new Error(
+      "Invariant: useContextProvider() called outside of a component!",
+    );
+  }
+  const instance = activeInstance;
+  let provider = instance.providers.get(context);
+  if (!provider && instance.prevProviders.has(context)) {
+    // Provided again, so its consumers stay subscribed
+    provider = instance.prevProviders.get(context);
+    instance.prevProviders.delete(context);
+    instance.providers.set(context, provider);
+  }
+  if (!provider) {
+    instance.providers.set(context, { value, consumers: new Set() });
+  } else if (!Object.is(provider.value, value)) {
+    // Rerender consumers, including ones in nested mounts
+    provider.value = value;
+    for (const consumer of provider.consumers) {
+      scheduleRender(consumer);
+    }
+  }
+}
+
+export function useContext(context) {
+  if (activeInstance === undefined) {
+    throw new Error("Invariant: useContext() called outside of a component!");
+  }
+  const instance = activeInstance;
+
+  // Find the nearest provider rendered above this component
+  for (let node = instance.parent; node; node = node.parent) {
+    const provider = node.providers.get(context);
+    if (provider) {
+      provider.consumers.add(instance);
+      instance.subscriptions.add(provider);
+      return provider.value;
+    }
+  }
+  return context.defaultValue;
+}
+
+export function useErrorBoundary(key, options) {
+  // The slot holds the caught error
+  const slot = useSlot("useErrorBoundary", key, options, (slot) => {
+    slot.value = undefined;
+    slot.reset = () => {
+      setSlotValue(slot, undefined);
+    };
+  });
+  // Catch errors thrown by descendants while this hook is called
+  slot.instance.errorBoundary = slot;
+  return [slot.value, slot.reset];
+}
+
+export function useSuspenseBoundary(key, options) {
+  // The slot holds whether a descendant is waiting on a thrown promise
+  const slot = useSlot("useSuspenseBoundary", key, options, (slot) => {
+    slot.value = false;
+    slot.pending = new Set();
+  });
+  // Catch promises thrown by descendants while this hook is called
+  slot.instance.suspenseBoundary = slot;
+  return slot.value;
+}
+
+// Reads a snapshot of an external store on every render, and rerenders when
+// a subscribed change makes the snapshot differ by options.isEqual.
+// getSnapshot must return the same value until the store changes.
+export function useSyncExternalStore(key, subscribe, getSnapshot, options) {
+  const isEqual = options?.isEqual ?? Object.is;
+  let snapshot = getSnapshot();
+  let isNew = false;
+  const slot = useSlot("useSyncExternalStore", key, options, (slot) => {
+    isNew = true;
+    slot.value = snapshot;
+    slot.cleanupFn = undefined;
+  });
+  if (!isNew && isEqual(slot.value, snapshot)) {
+    snapshot = slot.value;
+  }
+  slot.value = snapshot;
+  slot.getSnapshot = getSnapshot;
+  slot.isEqual = isEqual;
+  if (slot.subscribe !== subscribe) {
+    // Resubscribe once committed, also to check for changes made meanwhile
+    slot.subscribe = subscribe;
+    slot.effectFn = () => subscribeToStore(slot);
+    queueEffect(slot);
+  }
+  return snapshot;
+}
+
+function subscribeToStore(slot) {
+  const checkForChange = () => {
+    const snapshot = slot.getSnapshot();
+    if (!slot.isEqual(slot.value, snapshot)) {
+      setSlotValue(slot, snapshot);
+    }
+  };
+  const unsubscribe = slot.subscribe(checkForChange);
+  checkForChange();
+  return unsubscribe;
+}
+
+export function useEffect(key, fn, dependencies, options) {
+  effectHook("useEffect", key, fn, dependencies, options);
+}
+
+export function useLayoutEffect(key, fn, dependencies, options) {
+  effectHook("useLayoutEffect", key, fn, dependencies, options);
+}
+
+function effectHook(type, key, fn, dependencies, options) {
+  let isNew = false;
+  const slot = useSlot(type, key, options, (slot) => {
+    // Run the effect once committed
+    isNew = true;
+    slot.effectFn = fn;
+    slot.cleanupFn = undefined;
+    slot.dependencies = dependencies;
+    queueEffect(slot);
+  });
+  if (
+    !isNew &&
+    haveDependenciesChanged(slot.dependencies, dependencies, options?.isEqual)
+  ) {
+    // Cleanup and rerun the effect once committed
+    slot.dependencies = dependencies;
+    slot.effectFn = fn;
+    queueEffect(slot);
+  }
+}
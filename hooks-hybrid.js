@@ -0,0 +1,70 @@
+// Hybrid hooks: hooks are positional like hooks.js, but any call may pass
+// options.key to get a keyed slot which can be skipped like hooks-with-key.js
+import * as core from "./hooks-core.js";
+
+export {
+  batch,
+  flushSync,
+  setScheduler,
+  setRenderLimit,
+  setDevMode,
+  onUncaughtError,
+  hotSwap,
+  addReducerMiddleware,
+  createReducerLogger,
+  shallowEqual,
+  createContext,
+  useContextProvider,
+  useContext,
+  withKeyScope,
+  createKeyedHook,
+  forgetKey,
+} from "./hooks-core.js";
+
+export const { mount, hydrate, renderChild, renderToString } =
+  core.createRuntime(core.hybridAddressing, import.meta.url);
+
+export function useState(initialValue, options) {
+  return core.useState(options?.key, initialValue, options);
+}
+
+export function useReducer(reducer, initialArg, init, options) {
+  return core.useReducer(options?.key, reducer, initialArg, init, options);
+}
+
+export function useMemo(fn, dependencies, options) {
+  return core.useMemo(options?.key, fn, dependencies, options);
+}
+
+export function useRef(initialValue, options) {
+  return core.useRef(options?.key, initialValue, options);
+}
+
+export function useCallback(fn, dependencies, options) {
+  return core.useCallback(options?.key, fn, dependencies, options);
+}
+
+export function useErrorBoundary(options) {
+  return core.useErrorBoundary(options?.key, options);
+}
+
+export function useSuspenseBoundary(options) {
+  return core.useSuspenseBoundary(options?.key, options);
+}
+
+export function useSyncExternalStore(subscribe, getSnapshot, options) {
+  return core.useSyncExternalStore(
+    options?.key,
+    subscribe,
+    getSnapshot,
+    options,
+  );
+}
+
+export function useEffect(fn, dependencies, options) {
+  core.useEffect(options?.key, fn, dependencies, options);
+}
+
+export function useLayoutEffect(fn, dependencies, options) {
+  core.useLayoutEffect(options?.key, fn, dependencies, options);
+}
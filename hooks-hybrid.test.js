@@ -0,0 +1,215 @@
+import assert from "assert";
+import fs from "fs";
+import {
+  mount,
+  batch,
+  flushSync,
+  forgetKey,
+  useState,
+  useMemo,
+  useRef,
+  useEffect,
+} from "./hooks-hybrid.js";
+import * as positional from "./hooks.js";
+import * as keyed from "./hooks-with-key.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+const tests = {
+  "hybrid positional hooks keep their state between renders": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [count, setCount] = useState(0);
+      const doubled = useMemo(() => count * 2, [count]);
+      log.push(`${count}:${doubled}`);
+      setter = setCount;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(2));
+    assert.deepEqual(log, ["0:0", "2:4"]);
+    unmount();
+  },
+  "hybrid keyed hooks may be skipped between positional hooks": () => {
+    const log = [];
+    let setter;
+    let draftSetter;
+    const Component = () => {
+      const [editing, setEditing] = useState(true);
+      if (editing) {
+        const [draft, setDraft] = useState("", { key: "draft" });
+        log.push(`draft:${draft}`);
+        draftSetter = setDraft;
+      }
+      const renders = useRef(0);
+      renders.current += 1;
+      log.push(`renders:${renders.current}`);
+      setter = setEditing;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => draftSetter("hello"));
+    flushSync(() => setter(false));
+    flushSync(() => setter(true));
+    assert.deepEqual(log, [
+      "draft:",
+      "renders:1",
+      "draft:hello",
+      "renders:2",
+      "renders:3",
+      "draft:hello",
+      "renders:4",
+    ]);
+    unmount();
+  },
+  "hybrid skipped keyed effects are cleaned up": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [subscribed, setSubscribed] = useState(true);
+      if (subscribed) {
+        useEffect(
+          () => {
+            log.push("subscribe");
+            return () => log.push("unsubscribe");
+          },
+          [],
+          { key: "subscription" },
+        );
+      }
+      setter = setSubscribed;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(false));
+    assert.deepEqual(log, ["subscribe", "unsubscribe"]);
+    unmount();
+    assert.deepEqual(log, ["subscribe", "unsubscribe"]);
+  },
+  "hybrid setting skipped keyed state does not rerender": () => {
+    let renders = 0;
+    let setter;
+    let countSetter;
+    const Component = () => {
+      renders += 1;
+      const [visible, setVisible] = useState(true);
+      if (visible) {
+        const [, setCount] = useState(0, { key: "count" });
+        countSetter = setCount;
+      }
+      setter = setVisible;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(false));
+    flushSync(() => countSetter(1));
+    assert.equal(renders, 2);
+    unmount();
+  },
+  "hybrid keys never collide with positions": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [first, setFirst] = useState("positional");
+      const [second] = useState("keyed", { key: 0 });
+      log.push(`${first}:${second}`);
+      setter = setFirst;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter("updated"));
+    assert.deepEqual(log, ["positional:keyed", "updated:keyed"]);
+    unmount();
+  },
+  "hybrid positional hooks called out of order are reported": () => {
+    let setter;
+    const Reordered = () => {
+      const [flag, setFlag] = useState(false);
+      if (flag) {
+        useMemo(() => 1, []);
+      }
+      useRef(0);
+      setter = setFlag;
+    };
+    const { unmount } = mount(Reordered);
+    assert.throws(() => flushSync(() => setter(true)), {
+      message:
+        "Invariant: you broke the rules! Reordered called useMemo at slot 1, but called useRef there on the previous render.",
+    });
+    unmount();
+  },
+  "hybrid forgetKey resets a keyed hook": () => {
+    const log = [];
+    let setter;
+    let resetter;
+    const Component = () => {
+      const [shouldReset, setShouldReset] = useState(false);
+      if (shouldReset) {
+        forgetKey("count");
+      }
+      const [count, setCount] = useState(0, { key: "count" });
+      log.push(`count:${count}`);
+      setter = setCount;
+      resetter = setShouldReset;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(5));
+    flushSync(() => resetter(true));
+    assert.deepEqual(log, ["count:0", "count:5", "count:0"]);
+    unmount();
+  },
+  "hybrid runtimes share batches and effect flushes": () => {
+    const log = [];
+    const setters = [];
+    const Positional = () => {
+      const [value, setValue] = positional.useState(0);
+      positional.useEffect(() => {
+        log.push(`positional:${value}`);
+      }, [value]);
+      setters.push(setValue);
+    };
+    const Keyed = () => {
+      const [value, setValue] = keyed.useState("value", 0);
+      keyed.useEffect(
+        "log",
+        () => {
+          log.push(`keyed:${value}`);
+        },
+        [value],
+      );
+      setters.push(setValue);
+    };
+    const { unmount: unmountPositional } = positional.mount(Positional);
+    const { unmount: unmountKeyed } = keyed.mount(Keyed);
+    flushSync(() => {
+      batch(() => {
+        setters[0](1);
+        setters[1](1);
+      });
+    });
+    assert.deepEqual(log, [
+      "positional:0",
+      "keyed:0",
+      "positional:1",
+      "keyed:1",
+    ]);
+    unmountPositional();
+    unmountKeyed();
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();
@@ -1,6 +1,34 @@
 import assert from "assert";
 import fs from "fs";
-import { mount, useState, useMemo, useEffect } from "./hooks-with-key.js";
+import {
+  mount,
+  hydrate,
+  renderChild,
+  renderToString,
+  batch,
+  flushSync,
+  setRenderLimit,
+  withKeyScope,
+  createKeyedHook,
+  forgetKey,
+  useState,
+  useReducer,
+  addReducerMiddleware,
+  createReducerLogger,
+  useMemo,
+  shallowEqual,
+  useRef,
+  useCallback,
+  useEffect,
+  createContext,
+  useContextProvider,
+  useContext,
+  useLayoutEffect,
+  useErrorBoundary,
+  onUncaughtError,
+  useSyncExternalStore,
+  hotSwap,
+} from "./hooks-with-key.js";
 
 function logSync(msg) {
   fs.writeSync(1, msg);
@@ -17,9 +45,9 @@ const tests = {
       log.push(`state:${state}`);
       setter = setState;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["render", "state:0"]);
-    setter(999);
+    flushSync(() => setter(999));
     assert.deepEqual(log, ["render", "state:0", "render", "state:999"]);
     unmount();
     assert.deepEqual(log, ["render", "state:0", "render", "state:999"]);
@@ -36,11 +64,11 @@ const tests = {
       setterOne = setOne;
       setterTwo = setTwo;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["one:0", "two:hi"]);
-    setterOne(5);
+    flushSync(() => setterOne(5));
     assert.deepEqual(log, ["one:0", "two:hi", "one:5", "two:hi"]);
-    setterTwo("hello");
+    flushSync(() => setterTwo("hello"));
     assert.deepEqual(log, [
       "one:0",
       "two:hi",
@@ -62,10 +90,10 @@ const tests = {
       log.push(`unrelated:${unrelatedState}`);
       setter = setState;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["render", "unrelated:hello"]);
     unrelated = "world";
-    setter(999);
+    flushSync(() => setter(999));
     assert.deepEqual(log, [
       "render",
       "unrelated:hello",
@@ -93,15 +121,15 @@ const tests = {
       }
       setter = setState;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["render"]);
     unrelated = "first";
-    setter(1);
+    flushSync(() => setter(1));
     assert.deepEqual(log, ["render", "render", "unrelated:first"]);
     unrelated = "skipped";
-    setter(0);
+    flushSync(() => setter(0));
     assert.deepEqual(log, ["render", "render", "unrelated:first", "render"]);
-    setter(1);
+    flushSync(() => setter(1));
     assert.deepEqual(log, [
       "render",
       "render",
@@ -135,17 +163,17 @@ const tests = {
       }
       setter = setState;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["render"]);
     unrelated = "first";
-    setter(1);
+    flushSync(() => setter(1));
     assert.deepEqual(log, ["render", "render", "unrelated:first"]);
     unrelated = "skipped";
-    setter(0);
+    flushSync(() => setter(0));
     assert.deepEqual(log, ["render", "render", "unrelated:first", "render"]);
-    unrelatedSetter("danger");
+    flushSync(() => unrelatedSetter("danger"));
     assert.deepEqual(log, ["render", "render", "unrelated:first", "render"]);
-    setter(1);
+    flushSync(() => setter(1));
     assert.deepEqual(log, [
       "render",
       "render",
@@ -176,13 +204,13 @@ const tests = {
         setter = setState;
         unrelatedSetter = setUnrelatedState;
       };
-      const unmount = mount(Component);
+      const { unmount } = mount(Component);
       assert.equal(memoCalls, 1);
       assert.deepEqual(log, ["sum:10"]);
-      unrelatedSetter("hello");
+      flushSync(() => unrelatedSetter("hello"));
       assert.equal(memoCalls, 1);
       assert.deepEqual(log, ["sum:10", "sum:10"]);
-      setter([1, 2, 3, 4, 5]);
+      flushSync(() => setter([1, 2, 3, 4, 5]));
       assert.equal(memoCalls, 2);
       assert.deepEqual(log, ["sum:10", "sum:10", "sum:15"]);
       unmount();
@@ -201,7 +229,7 @@ const tests = {
         [],
       );
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["mount"]);
     unmount();
     assert.deepEqual(log, ["mount", "unmount"]);
@@ -227,11 +255,11 @@ const tests = {
       oneSetter = setStateOne;
       twoSetter = setStateTwo;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["render", "one:0"]);
-    oneSetter(1);
+    flushSync(() => oneSetter(1));
     assert.deepEqual(log, ["render", "one:0", "render", "cleanup:0", "one:1"]);
-    twoSetter(2);
+    flushSync(() => twoSetter(2));
     assert.deepEqual(log, [
       "render",
       "one:0",
@@ -240,7 +268,7 @@ const tests = {
       "one:1",
       "render",
     ]);
-    twoSetter(3);
+    flushSync(() => twoSetter(3));
     assert.deepEqual(log, [
       "render",
       "one:0",
@@ -250,7 +278,7 @@ const tests = {
       "render",
       "render",
     ]);
-    oneSetter(4);
+    flushSync(() => oneSetter(4));
     assert.deepEqual(log, [
       "render",
       "one:0",
@@ -301,11 +329,11 @@ const tests = {
       setter = setCallEffect;
       numSetter = setNum;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["render"]);
-    setter(true);
+    flushSync(() => setter(true));
     assert.deepEqual(log, ["render", "render", "effect:1"]);
-    numSetter(2);
+    flushSync(() => numSetter(2));
     assert.deepEqual(log, [
       "render",
       "render",
@@ -314,7 +342,7 @@ const tests = {
       "cleanup:1",
       "effect:2",
     ]);
-    setter(false);
+    flushSync(() => setter(false));
     assert.deepEqual(log, [
       "render",
       "render",
@@ -325,7 +353,7 @@ const tests = {
       "render",
       "cleanup:2",
     ]);
-    numSetter(3);
+    flushSync(() => numSetter(3));
     assert.deepEqual(log, [
       "render",
       "render",
@@ -337,7 +365,7 @@ const tests = {
       "cleanup:2",
       "render",
     ]);
-    numSetter(4);
+    flushSync(() => numSetter(4));
     assert.deepEqual(log, [
       "render",
       "render",
@@ -350,7 +378,7 @@ const tests = {
       "render",
       "render",
     ]);
-    setter(true);
+    flushSync(() => setter(true));
     assert.deepEqual(log, [
       "render",
       "render",
@@ -382,6 +410,903 @@ const tests = {
       "cleanup:4",
     ]);
   },
+  "key renderChild passes props and returns the child output": () => {
+    const log = [];
+    const Child = ({ name }) => {
+      log.push(`child:${name}`);
+      return `hello ${name}`;
+    };
+    const Parent = () => {
+      log.push(`parent:${renderChild(Child, { name: "world" })}`);
+    };
+    const { unmount } = mount(Parent);
+    assert.deepEqual(log, ["child:world", "parent:hello world"]);
+    unmount();
+  },
+  "key renderChild keeps child state when parent rerenders": () => {
+    const log = [];
+    let parentSetter;
+    let childSetter;
+    const Child = ({ label }) => {
+      const [count, setCount] = useState("count", 0);
+      log.push(`${label}:${count}`);
+      childSetter = setCount;
+    };
+    const Parent = () => {
+      const [label, setLabel] = useState("label", "a");
+      renderChild(Child, { label });
+      parentSetter = setLabel;
+    };
+    const { unmount } = mount(Parent);
+    flushSync(() => childSetter(1));
+    flushSync(() => parentSetter("b"));
+    assert.deepEqual(log, ["a:0", "a:1", "b:1"]);
+    unmount();
+  },
+  "key renderChild matches keyed children when they are reordered": () => {
+    const log = [];
+    let setter;
+    const Child = ({ id }) => {
+      const [initialId] = useState("initialId", id);
+      log.push(`${id}:${initialId}`);
+    };
+    const Parent = () => {
+      const [ids, setIds] = useState("ids", ["x", "y"]);
+      ids.forEach((id) => renderChild(Child, { key: id, id }));
+      setter = setIds;
+    };
+    const { unmount } = mount(Parent);
+    flushSync(() => setter(["y", "x"]));
+    assert.deepEqual(log, ["x:x", "y:y", "y:y", "x:x"]);
+    unmount();
+  },
+  "key renderChild unmounts children which are no longer rendered": () => {
+    const log = [];
+    let setter;
+    const Child = ({ id }) => {
+      useEffect(
+        "mount",
+        () => {
+          log.push(`mount:${id}`);
+          return () => {
+            log.push(`unmount:${id}`);
+          };
+        },
+        [],
+      );
+    };
+    const Parent = () => {
+      const [ids, setIds] = useState("ids", ["x", "y"]);
+      ids.forEach((id) => renderChild(Child, { key: id, id }));
+      setter = setIds;
+    };
+    const { unmount } = mount(Parent);
+    assert.deepEqual(log, ["mount:x", "mount:y"]);
+    flushSync(() => setter(["y"]));
+    assert.deepEqual(log, ["mount:x", "mount:y", "unmount:x"]);
+    unmount();
+    assert.deepEqual(log, ["mount:x", "mount:y", "unmount:x", "unmount:y"]);
+  },
+  "key batch renders once for several updates": () => {
+    const log = [];
+    let setterOne;
+    let setterTwo;
+    const Component = () => {
+      const [one, setOne] = useState("one", 0);
+      const [two, setTwo] = useState("two", 0);
+      log.push(`render:${one}:${two}`);
+      setterOne = setOne;
+      setterTwo = setTwo;
+    };
+    const { unmount } = mount(Component);
+    batch(() => {
+      setterOne(1);
+      setterTwo(2);
+      setterOne((one) => one + 1);
+    });
+    assert.deepEqual(log, ["render:0:0", "render:2:2"]);
+    unmount();
+  },
+  "key flushSync renders immediately inside of a batch": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState("state", 0);
+      log.push(`render:${state}`);
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    batch(() => {
+      flushSync(() => setter(1));
+      log.push("flushed");
+      setter(2);
+    });
+    assert.deepEqual(log, ["render:0", "render:1", "flushed", "render:2"]);
+    unmount();
+  },
+  "key useState set during render rerenders after the render finishes": () => {
+    const log = [];
+    const Component = () => {
+      const [state, setState] = useState("state", 0);
+      log.push(`render:${state}`);
+      if (state < 2) {
+        setState(state + 1);
+        log.push(`set:${state + 1}`);
+      }
+    };
+    const { unmount } = mount(Component);
+    assert.deepEqual(log, [
+      "render:0",
+      "set:1",
+      "render:1",
+      "set:2",
+      "render:2",
+    ]);
+    unmount();
+  },
+  "key useState updates are flushed in a microtask by default": async () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState("state", 0);
+      log.push(`render:${state}`);
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    setter(1);
+    setter(2);
+    setter(3);
+    assert.deepEqual(log, ["render:0"]);
+    await Promise.resolve();
+    assert.deepEqual(log, ["render:0", "render:3"]);
+    unmount();
+  },
+  "key useEffect runs after the component has finished rendering": () => {
+    const log = [];
+    const Component = () => {
+      log.push("render:start");
+      useEffect(
+        "b",
+        () => {
+          log.push("effect");
+        },
+        [],
+      );
+      log.push("render:end");
+    };
+    const { unmount } = mount(Component);
+    assert.deepEqual(log, ["render:start", "render:end", "effect"]);
+    unmount();
+  },
+  "key useEffect runs all cleanups before any new effects": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState("state", 0);
+      useEffect(
+        "c",
+        () => {
+          log.push(`one:${state}`);
+          return () => log.push(`cleanup one:${state}`);
+        },
+        [state],
+      );
+      useEffect(
+        "d",
+        () => {
+          log.push(`two:${state}`);
+          return () => log.push(`cleanup two:${state}`);
+        },
+        [state],
+      );
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(1));
+    assert.deepEqual(log, [
+      "one:0",
+      "two:0",
+      "cleanup one:0",
+      "cleanup two:0",
+      "one:1",
+      "two:1",
+    ]);
+    unmount();
+  },
+  "key useLayoutEffect runs before deferred effects": async () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState("state", 0);
+      log.push(`render:${state}`);
+      useLayoutEffect(
+        "a",
+        () => {
+          log.push(`layout:${state}`);
+        },
+        [state],
+      );
+      useEffect(
+        "b",
+        () => {
+          log.push(`effect:${state}`);
+        },
+        [state],
+      );
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    assert.deepEqual(log, ["render:0", "layout:0", "effect:0"]);
+    setter(1);
+    await Promise.resolve();
+    assert.deepEqual(log, [
+      "render:0",
+      "layout:0",
+      "effect:0",
+      "render:1",
+      "layout:1",
+    ]);
+    await Promise.resolve();
+    assert.deepEqual(log, [
+      "render:0",
+      "layout:0",
+      "effect:0",
+      "render:1",
+      "layout:1",
+      "effect:1",
+    ]);
+    unmount();
+  },
+  "key useReducer dispatches actions through the reducer": () => {
+    const log = [];
+    const dispatchers = [];
+    const reducer = (state, action) => {
+      switch (action.type) {
+        case "add":
+          return state + action.amount;
+        case "noop":
+          return state;
+      }
+    };
+    const Component = () => {
+      const [count, dispatch] = useReducer(
+        "count",
+        reducer,
+        1,
+        (arg) => arg * 10,
+      );
+      log.push(`count:${count}`);
+      dispatchers.push(dispatch);
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => dispatchers[0]({ type: "add", amount: 5 }));
+    flushSync(() => dispatchers[0]({ type: "noop" }));
+    assert.deepEqual(log, ["count:10", "count:15"]);
+    assert.equal(dispatchers[0], dispatchers[1]);
+    unmount();
+  },
+  "key useReducer middleware can trace each action": () => {
+    const log = [];
+    let dispatcher;
+    const Component = () => {
+      const [count, dispatch] = useReducer(
+        "count",
+        (state, action) => state + action,
+        0,
+      );
+      dispatcher = dispatch;
+    };
+    const removeMiddleware = addReducerMiddleware(
+      createReducerLogger((entry) => log.push(entry)),
+    );
+    const { unmount } = mount(Component);
+    flushSync(() => dispatcher(2));
+    flushSync(() => dispatcher(3));
+    removeMiddleware();
+    flushSync(() => dispatcher(4));
+    assert.deepEqual(log, [
+      { action: 2, prevState: 0, nextState: 2 },
+      { action: 3, prevState: 2, nextState: 5 },
+    ]);
+    unmount();
+  },
+  "key useRef keeps a mutable value without rerendering": () => {
+    const log = [];
+    const refs = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState("state", 0);
+      const renders = useRef("renders", 0);
+      renders.current += 1;
+      log.push(`render:${state}:${renders.current}`);
+      refs.push(renders);
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    refs[0].current = 10;
+    flushSync(() => setter(1));
+    assert.deepEqual(log, ["render:0:1", "render:1:11"]);
+    assert.equal(refs[0], refs[1]);
+    unmount();
+  },
+  "key useCallback keeps function identity until dependencies change": () => {
+    const callbacks = [];
+    let setter;
+    let unrelatedSetter;
+    const Component = () => {
+      const [state, setState] = useState("state", 0);
+      const [unrelated, setUnrelated] = useState("unrelated", 0);
+      callbacks.push(useCallback("callback", () => state, [state]));
+      setter = setState;
+      unrelatedSetter = setUnrelated;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => unrelatedSetter(1));
+    flushSync(() => setter(1));
+    assert.equal(callbacks[0], callbacks[1]);
+    assert.notEqual(callbacks[1], callbacks[2]);
+    assert.equal(callbacks[2](), 1);
+    unmount();
+  },
+  "key useContext falls back to the default without a provider": () => {
+    const log = [];
+    const Theme = createContext("light");
+    const Component = () => {
+      log.push(`theme:${useContext(Theme)}`);
+    };
+    const { unmount } = mount(Component);
+    assert.deepEqual(log, ["theme:light"]);
+    unmount();
+  },
+  "key useContext reads the nearest provider above the component": () => {
+    const log = [];
+    const Theme = createContext("light");
+    const Child = ({ name }) => {
+      log.push(`${name}:${useContext(Theme)}`);
+    };
+    const Inner = () => {
+      useContextProvider(Theme, "blue");
+      renderChild(Child, { name: "inner" });
+    };
+    const Outer = () => {
+      useContextProvider(Theme, "dark");
+      renderChild(Child, { name: "outer" });
+      renderChild(Inner);
+    };
+    const { unmount } = mount(Outer);
+    assert.deepEqual(log, ["outer:dark", "inner:blue"]);
+    unmount();
+  },
+  "key useContext rerenders consumers in nested mounts when the value changes":
+    () => {
+      const log = [];
+      let setter;
+      let nested;
+      const Locale = createContext("en");
+      const Nested = () => {
+        log.push(`nested:${useContext(Locale)}`);
+      };
+      const Component = () => {
+        const [locale, setLocale] = useState("locale", "fr");
+        useContextProvider(Locale, locale);
+        if (!nested) {
+          nested = mount(Nested);
+        }
+        log.push(`parent:${locale}`);
+        setter = setLocale;
+      };
+      const { unmount } = mount(Component);
+      assert.deepEqual(log, ["nested:fr", "parent:fr"]);
+      flushSync(() => setter("de"));
+      assert.deepEqual(log, [
+        "nested:fr",
+        "parent:fr",
+        "parent:de",
+        "nested:de",
+      ]);
+      nested.unmount();
+      unmount();
+    },
+  "key render errors restore the active component": () => {
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState("state", false);
+      if (state) {
+        useRef("hook", 0);
+      } else {
+        useCallback("hook", () => {}, []);
+      }
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    assert.throws(() => flushSync(() => setter(true)), /you broke the rules/);
+    unmount();
+    assert.throws(() => useState("state", 0), /called outside of a component/);
+  },
+  "key useErrorBoundary renders a fallback for errors thrown by children":
+    () => {
+      const log = [];
+      let resetter;
+      let shouldThrow = true;
+      const Child = () => {
+        if (shouldThrow) {
+          throw new Error("oops");
+        }
+        log.push("child");
+      };
+      const Boundary = () => {
+        const [error, reset] = useErrorBoundary("boundary");
+        resetter = reset;
+        if (error) {
+          log.push(`fallback:${error.message}`);
+          return;
+        }
+        renderChild(Child);
+      };
+      const { unmount } = mount(Boundary);
+      assert.deepEqual(log, ["fallback:oops"]);
+      shouldThrow = false;
+      flushSync(() => resetter());
+      assert.deepEqual(log, ["fallback:oops", "child"]);
+      unmount();
+    },
+  "key useErrorBoundary catches errors thrown by effects": () => {
+    const log = [];
+    const Child = () => {
+      useEffect(
+        "effect",
+        () => {
+          log.push("effect");
+          throw new Error("effect failed");
+        },
+        [],
+      );
+    };
+    const Boundary = () => {
+      const [error] = useErrorBoundary("boundary");
+      if (error) {
+        log.push(`fallback:${error.message}`);
+        return;
+      }
+      renderChild(Child);
+    };
+    const { unmount } = mount(Boundary);
+    assert.deepEqual(log, ["effect", "fallback:effect failed"]);
+    unmount();
+  },
+  "key onUncaughtError receives errors outside of any boundary": () => {
+    const errors = [];
+    const restore = onUncaughtError((error) => errors.push(error.message));
+    const Component = () => {
+      useEffect(
+        "effect",
+        () => {
+          throw new Error("nobody caught me");
+        },
+        [],
+      );
+    };
+    const { unmount } = mount(Component);
+    restore();
+    assert.deepEqual(errors, ["nobody caught me"]);
+    unmount();
+  },
+  "key useState set on every render reports the runaway component": () => {
+    const Runaway = () => {
+      const [count, setCount] = useState("count", 0);
+      setCount(count + 1);
+    };
+    assert.throws(
+      () => mount(Runaway),
+      /Too many renders of Runaway: rendered more than 50 times before updates settled\. The last update was made by useState with key count\./,
+    );
+  },
+  "key useEffect which always updates state reports the effect responsible":
+    () => {
+      const log = [];
+      const restoreHandler = onUncaughtError((error) =>
+        log.push(error.message),
+      );
+      setRenderLimit(3);
+      const Looping = () => {
+        const [count, setCount] = useState("count", 0);
+        const options = { count };
+        useEffect(
+          "effect",
+          () => {
+            setCount(options.count + 1);
+          },
+          [options],
+        );
+      };
+      const { unmount } = mount(Looping);
+      setRenderLimit(50);
+      restoreHandler();
+      assert.deepEqual(log, [
+        "Too many renders of Looping: rendered more than 3 times before updates settled. The last update was made by useState with key count from useEffect with key effect of Looping.",
+      ]);
+      unmount();
+    },
+  "key useState with a key already used this render is reported": () => {
+    const Duplicated = () => {
+      useState("a", 0);
+      useMemo("a", () => 1, []);
+    };
+    assert.throws(() => mount(Duplicated), {
+      message:
+        "Invariant: useMemo() called with key a which was already used while rendering Duplicated!",
+    });
+  },
+  "key withKeyScope namespaces the keys of hooks called within it": () => {
+    const log = [];
+    const setters = [];
+    const Component = () => {
+      const [outer] = useState("count", "outer");
+      const [first, setFirst] = withKeyScope("first", () =>
+        useState("count", 1),
+      );
+      const [second, setSecond] = withKeyScope("second", () =>
+        useState("count", 2),
+      );
+      log.push(`${outer}:${first}:${second}`);
+      setters.push(setFirst, setSecond);
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setters[1](20));
+    assert.deepEqual(log, ["outer:1:2", "outer:1:20"]);
+    unmount();
+  },
+  "key createKeyedHook lets a custom hook be used more than once": () => {
+    const log = [];
+    const toggles = [];
+    const useToggle = createKeyedHook((initial) => {
+      const [on, setOn] = useState("on", initial);
+      const toggle = useCallback("toggle", () => setOn((on) => !on), []);
+      return [on, toggle];
+    });
+    const Component = () => {
+      const [bold, toggleBold] = useToggle("bold", false);
+      const [italic, toggleItalic] = useToggle("italic", true);
+      log.push(`bold:${bold} italic:${italic}`);
+      toggles.push(toggleBold, toggleItalic);
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => toggles[0]());
+    assert.deepEqual(log, ["bold:false italic:true", "bold:true italic:true"]);
+    unmount();
+  },
+  "key useState with inactive retention drops skipped state": () => {
+    const log = [];
+    let setter;
+    let draftSetter;
+    const Component = () => {
+      const [editing, setEditing] = useState("editing", true);
+      if (editing) {
+        const [draft, setDraft] = useState("draft", "", {
+          retention: "inactive",
+        });
+        log.push(`draft:${draft}`);
+        draftSetter = setDraft;
+      }
+      setter = setEditing;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => draftSetter("hello"));
+    flushSync(() => setter(false));
+    flushSync(() => setter(true));
+    assert.deepEqual(log, ["draft:", "draft:hello", "draft:"]);
+    unmount();
+  },
+  "key hookRetention with maxAge expires slots inactive for too long": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [tab, setTab] = useState("tab", "a");
+      const [value] = useState(`value:${tab}`, () => `${tab}:${log.length}`);
+      log.push(value);
+      setter = setTab;
+    };
+    Component.hookRetention = { maxAge: 1 };
+    const { unmount } = mount(Component);
+    flushSync(() => setter("b"));
+    flushSync(() => setter("a"));
+    flushSync(() => setter("b"));
+    flushSync(() => setter("c"));
+    flushSync(() => setter("d"));
+    flushSync(() => setter("b"));
+    assert.deepEqual(log, ["a:0", "b:1", "a:0", "b:1", "c:4", "d:5", "b:6"]);
+    unmount();
+  },
+  "key hookRetention with maxInactive keeps the most recent slots": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [id, setId] = useState("id", 1);
+      const [value] = useState(`item:${id}`, () => `${id}:${log.length}`);
+      log.push(value);
+      setter = setId;
+    };
+    Component.hookRetention = { maxInactive: 1 };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(2));
+    flushSync(() => setter(3));
+    flushSync(() => setter(2));
+    flushSync(() => setter(1));
+    assert.deepEqual(log, ["1:0", "2:1", "3:2", "2:1", "1:4"]);
+    unmount();
+  },
+  "key forgetKey resets the state of a key": () => {
+    const log = [];
+    let setter;
+    let resetter;
+    const Component = () => {
+      const [shouldReset, setShouldReset] = useState("reset", false);
+      if (shouldReset) {
+        forgetKey("count");
+      }
+      const [count, setCount] = useState("count", 0);
+      log.push(`count:${count}`);
+      setter = setCount;
+      resetter = setShouldReset;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(5));
+    flushSync(() => resetter(true));
+    assert.deepEqual(log, ["count:0", "count:5", "count:0"]);
+    unmount();
+  },
+  "key useMemo without dependencies recalculates on every render": () => {
+    let setter;
+    let memoCalls = 0;
+    const Component = () => {
+      const [state, setState] = useState("state", 0);
+      useMemo("memo", () => {
+        memoCalls += 1;
+      });
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(1));
+    flushSync(() => setter(2));
+    assert.equal(memoCalls, 3);
+    unmount();
+  },
+  "key useEffect treats a change in dependency count as a change": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [dependencies, setDependencies] = useState("dependencies", [1, 2]);
+      useEffect(
+        "effect",
+        () => {
+          log.push(`effect:${dependencies.length}`);
+        },
+        dependencies,
+      );
+      setter = setDependencies;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter([1]));
+    flushSync(() => setter([1, 2]));
+    assert.deepEqual(log, ["effect:2", "effect:1", "effect:2"]);
+    unmount();
+  },
+  "key useMemo compares dependencies with Object.is": () => {
+    let setter;
+    let memoCalls = 0;
+    const Component = () => {
+      const [value, setValue] = useState("value", NaN);
+      useMemo(
+        "memo",
+        () => {
+          memoCalls += 1;
+        },
+        [value],
+      );
+      setter = setValue;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(0));
+    assert.equal(memoCalls, 2);
+    flushSync(() => setter(-0));
+    assert.equal(memoCalls, 3);
+    unmount();
+  },
+  "key useEffect can compare dependencies with a custom isEqual": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [options, setOptions] = useState("options", { page: 1 });
+      useEffect(
+        "effect",
+        () => {
+          log.push(`page:${options.page}`);
+        },
+        [options],
+        { isEqual: shallowEqual },
+      );
+      setter = setOptions;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter({ page: 1 }));
+    flushSync(() => setter({ page: 2 }));
+    assert.deepEqual(log, ["page:1", "page:2"]);
+    unmount();
+  },
+  "key renderToString serializes the state of each key": () => {
+    const log = [];
+    const Component = ({ editing }) => {
+      const [title] = useState("title", "Draft");
+      if (editing) {
+        const [text] = useState("text", "hello");
+        useEffect("effect", () => {
+          log.push("effect");
+        });
+        return `${title}: ${text}`;
+      }
+      return title;
+    };
+    const { html, state } = renderToString(Component, { editing: true });
+    assert.equal(html, "Draft: hello");
+    assert.deepEqual(JSON.parse(state).hooks, [
+      ["title", "useState", "Draft"],
+      ["text", "useState", "hello"],
+    ]);
+    assert.deepEqual(log, []);
+  },
+  "key hydrate matches state by key and reports missing keys": () => {
+    const log = [];
+    const mismatches = [];
+    const Server = () => {
+      const [text] = useState("text", "from server");
+      useState("removed", 0);
+      return text;
+    };
+    const Client = () => {
+      const [count] = useState("count", 0);
+      const [text] = useState("text", "from client");
+      log.push(`${count}:${text}`);
+    };
+    Client.displayName = "Server";
+    const { state } = renderToString(Server);
+    const { unmount } = hydrate(Client, {}, state, {
+      onMismatch: (message) => mismatches.push(message),
+    });
+    assert.deepEqual(log, ["0:from server"]);
+    assert.deepEqual(mismatches, [
+      "Server called useState with key count, which has no server state.",
+      "the server called useState with key removed of Server, but it was not called.",
+    ]);
+    unmount();
+  },
+  "key skipped async useEffect is aborted": async () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [polling, setPolling] = useState("polling", true);
+      if (polling) {
+        useEffect("poll", async (signal) => {
+          await Promise.resolve();
+          log.push(`aborted:${signal.aborted}`);
+        });
+      }
+      setter = setPolling;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(false));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.deepEqual(log, ["aborted:true"]);
+    unmount();
+  },
+  "key skipped useSyncExternalStore unsubscribes": () => {
+    const log = [];
+    let setter;
+    const subscribe = () => {
+      log.push("subscribe");
+      return () => log.push("unsubscribe");
+    };
+    const Component = () => {
+      const [visible, setVisible] = useState("visible", true);
+      if (visible) {
+        useSyncExternalStore("store", subscribe, () => 1);
+      }
+      setter = setVisible;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(false));
+    assert.deepEqual(log, ["subscribe", "unsubscribe"]);
+    unmount();
+  },
+  "key mount handle getHookState shows keys and skipped slots": () => {
+    let setter;
+    const Component = () => {
+      const [open, setOpen] = useState("open", true);
+      if (open) {
+        useRef("panel", "ref");
+      }
+      setter = setOpen;
+    };
+    const { getHookState, unmount } = mount(Component);
+    flushSync(() => setter(false));
+    assert.deepEqual(
+      getHookState().map(({ address, active }) => `${address}:${active}`),
+      ["open:true", "panel:false"],
+    );
+    unmount();
+  },
+  "key hotSwap keeps state for each matching key": () => {
+    const log = [];
+    let setters;
+    const Profile = () => {
+      const [name, setName] = useState("name", "");
+      const [age, setAge] = useState("age", 0);
+      setters = { setName, setAge };
+      log.push(`${name}:${age}`);
+    };
+    const NextProfile = () => {
+      // Keys may be called in a different order
+      const [age] = useState("age", 0);
+      const name = useRef("name", "anonymous");
+      log.push(`${name.current}:${age}`);
+    };
+    const { unmount } = mount(Profile);
+    flushSync(() => setters.setName("Ada"));
+    flushSync(() => setters.setAge(36));
+    hotSwap(Profile, NextProfile);
+    hotSwap(NextProfile, Profile);
+    unmount();
+    assert.deepEqual(log, [":0", "Ada:0", "Ada:36", "anonymous:36", ":36"]);
+  },
+  "key skipped context providers fall back to the default": () => {
+    const Theme = createContext("default");
+    const log = [];
+    let setter;
+    const Child = () => {
+      log.push(useContext(Theme));
+    };
+    const Parent = () => {
+      const [isProviding, setIsProviding] = useState("providing", true);
+      if (isProviding) {
+        useContextProvider(Theme, "provided");
+      }
+      renderChild(Child);
+      setter = setIsProviding;
+    };
+    const { unmount } = mount(Parent);
+    flushSync(() => setter(false));
+    assert.deepEqual(log, ["provided", "default"]);
+    unmount();
+  },
+  "key consumers which stop reading a context are not rerendered by it": () => {
+    const Theme = createContext("default");
+    let renders = 0;
+    let themeSetter;
+    let readSetter;
+    let nested;
+    const Nested = () => {
+      renders += 1;
+      const [isReading, setIsReading] = useState("reading", true);
+      if (isReading) {
+        useContext(Theme);
+      }
+      readSetter = setIsReading;
+    };
+    const Component = () => {
+      const [theme, setTheme] = useState("theme", "light");
+      useContextProvider(Theme, theme);
+      if (!nested) {
+        nested = mount(Nested);
+      }
+      themeSetter = setTheme;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => themeSetter("dark"));
+    flushSync(() => readSetter(false));
+    flushSync(() => themeSetter("light"));
+    assert.equal(renders, 3);
+    nested.unmount();
+    unmount();
+  },
 };
 
 async function runTests() {
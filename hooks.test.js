@@ -1,6 +1,32 @@
 import assert from "assert";
 import fs from "fs";
-import { mount, useState, useMemo, useEffect } from "./hooks.js";
+import {
+  mount,
+  hydrate,
+  renderChild,
+  renderToString,
+  batch,
+  flushSync,
+  setRenderLimit,
+  setDevMode,
+  useState,
+  useReducer,
+  addReducerMiddleware,
+  createReducerLogger,
+  useMemo,
+  shallowEqual,
+  useRef,
+  useCallback,
+  useEffect,
+  createContext,
+  useContextProvider,
+  useContext,
+  useLayoutEffect,
+  useErrorBoundary,
+  onUncaughtError,
+  useSyncExternalStore,
+  hotSwap,
+} from "./hooks.js";
 
 function logSync(msg) {
   fs.writeSync(1, msg);
@@ -17,9 +43,9 @@ const tests = {
       log.push(`state:${state}`);
       setter = setState;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["render", "state:0"]);
-    setter(999);
+    flushSync(() => setter(999));
     assert.deepEqual(log, ["render", "state:0", "render", "state:999"]);
     unmount();
     assert.deepEqual(log, ["render", "state:0", "render", "state:999"]);
@@ -36,11 +62,11 @@ const tests = {
       setterOne = setOne;
       setterTwo = setTwo;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["one:0", "two:hi"]);
-    setterOne(5);
+    flushSync(() => setterOne(5));
     assert.deepEqual(log, ["one:0", "two:hi", "one:5", "two:hi"]);
-    setterTwo("hello");
+    flushSync(() => setterTwo("hello"));
     assert.deepEqual(log, [
       "one:0",
       "two:hi",
@@ -62,10 +88,10 @@ const tests = {
       log.push(`unrelated:${unrelatedState}`);
       setter = setState;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["render", "unrelated:hello"]);
     unrelated = "world";
-    setter(999);
+    flushSync(() => setter(999));
     assert.deepEqual(log, [
       "render",
       "unrelated:hello",
@@ -96,13 +122,13 @@ const tests = {
       setter = setState;
       unrelatedSetter = setUnrelatedState;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.equal(memoCalls, 1);
     assert.deepEqual(log, ["sum:10"]);
-    unrelatedSetter("hello");
+    flushSync(() => unrelatedSetter("hello"));
     assert.equal(memoCalls, 1);
     assert.deepEqual(log, ["sum:10", "sum:10"]);
-    setter([1, 2, 3, 4, 5]);
+    flushSync(() => setter([1, 2, 3, 4, 5]));
     assert.equal(memoCalls, 2);
     assert.deepEqual(log, ["sum:10", "sum:10", "sum:15"]);
     unmount();
@@ -117,7 +143,7 @@ const tests = {
         };
       }, []);
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["mount"]);
     unmount();
     assert.deepEqual(log, ["mount", "unmount"]);
@@ -139,11 +165,11 @@ const tests = {
       oneSetter = setStateOne;
       twoSetter = setStateTwo;
     };
-    const unmount = mount(Component);
+    const { unmount } = mount(Component);
     assert.deepEqual(log, ["render", "one:0"]);
-    oneSetter(1);
+    flushSync(() => oneSetter(1));
     assert.deepEqual(log, ["render", "one:0", "render", "cleanup:0", "one:1"]);
-    twoSetter(2);
+    flushSync(() => twoSetter(2));
     assert.deepEqual(log, [
       "render",
       "one:0",
@@ -152,7 +178,7 @@ const tests = {
       "one:1",
       "render",
     ]);
-    twoSetter(3);
+    flushSync(() => twoSetter(3));
     assert.deepEqual(log, [
       "render",
       "one:0",
@@ -162,7 +188,7 @@ const tests = {
       "render",
       "render",
     ]);
-    oneSetter(4);
+    flushSync(() => oneSetter(4));
     assert.deepEqual(log, [
       "render",
       "one:0",
@@ -190,6 +216,1105 @@ const tests = {
       "cleanup:4",
     ]);
   },
+  "renderChild passes props and returns the child output": () => {
+    const log = [];
+    const Child = ({ name }) => {
+      log.push(`child:${name}`);
+      return `hello ${name}`;
+    };
+    const Parent = () => {
+      log.push(`parent:${renderChild(Child, { name: "world" })}`);
+    };
+    const { unmount } = mount(Parent);
+    assert.deepEqual(log, ["child:world", "parent:hello world"]);
+    unmount();
+  },
+  "renderChild keeps child state when parent rerenders": () => {
+    const log = [];
+    let parentSetter;
+    let childSetter;
+    const Child = ({ label }) => {
+      const [count, setCount] = useState(0);
+      log.push(`${label}:${count}`);
+      childSetter = setCount;
+    };
+    const Parent = () => {
+      const [label, setLabel] = useState("a");
+      renderChild(Child, { label });
+      parentSetter = setLabel;
+    };
+    const { unmount } = mount(Parent);
+    flushSync(() => childSetter(1));
+    flushSync(() => parentSetter("b"));
+    assert.deepEqual(log, ["a:0", "a:1", "b:1"]);
+    unmount();
+  },
+  "renderChild matches keyed children when they are reordered": () => {
+    const log = [];
+    let setter;
+    const Child = ({ id }) => {
+      const [initialId] = useState(id);
+      log.push(`${id}:${initialId}`);
+    };
+    const Parent = () => {
+      const [ids, setIds] = useState(["x", "y"]);
+      ids.forEach((id) => renderChild(Child, { key: id, id }));
+      setter = setIds;
+    };
+    const { unmount } = mount(Parent);
+    flushSync(() => setter(["y", "x"]));
+    assert.deepEqual(log, ["x:x", "y:y", "y:y", "x:x"]);
+    unmount();
+  },
+  "renderChild unmounts children which are no longer rendered": () => {
+    const log = [];
+    let setter;
+    const Child = ({ id }) => {
+      useEffect(() => {
+        log.push(`mount:${id}`);
+        return () => {
+          log.push(`unmount:${id}`);
+        };
+      }, []);
+    };
+    const Parent = () => {
+      const [ids, setIds] = useState(["x", "y"]);
+      ids.forEach((id) => renderChild(Child, { key: id, id }));
+      setter = setIds;
+    };
+    const { unmount } = mount(Parent);
+    assert.deepEqual(log, ["mount:x", "mount:y"]);
+    flushSync(() => setter(["y"]));
+    assert.deepEqual(log, ["mount:x", "mount:y", "unmount:x"]);
+    unmount();
+    assert.deepEqual(log, ["mount:x", "mount:y", "unmount:x", "unmount:y"]);
+  },
+  "batch renders once for several updates": () => {
+    const log = [];
+    let setterOne;
+    let setterTwo;
+    const Component = () => {
+      const [one, setOne] = useState(0);
+      const [two, setTwo] = useState(0);
+      log.push(`render:${one}:${two}`);
+      setterOne = setOne;
+      setterTwo = setTwo;
+    };
+    const { unmount } = mount(Component);
+    batch(() => {
+      setterOne(1);
+      setterTwo(2);
+      setterOne((one) => one + 1);
+    });
+    assert.deepEqual(log, ["render:0:0", "render:2:2"]);
+    unmount();
+  },
+  "flushSync renders immediately inside of a batch": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState(0);
+      log.push(`render:${state}`);
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    batch(() => {
+      flushSync(() => setter(1));
+      log.push("flushed");
+      setter(2);
+    });
+    assert.deepEqual(log, ["render:0", "render:1", "flushed", "render:2"]);
+    unmount();
+  },
+  "useState set during render rerenders after the render finishes": () => {
+    const log = [];
+    const Component = () => {
+      const [state, setState] = useState(0);
+      log.push(`render:${state}`);
+      if (state < 2) {
+        setState(state + 1);
+        log.push(`set:${state + 1}`);
+      }
+    };
+    const { unmount } = mount(Component);
+    assert.deepEqual(log, [
+      "render:0",
+      "set:1",
+      "render:1",
+      "set:2",
+      "render:2",
+    ]);
+    unmount();
+  },
+  "useState updates are flushed in a microtask by default": async () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState(0);
+      log.push(`render:${state}`);
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    setter(1);
+    setter(2);
+    setter(3);
+    assert.deepEqual(log, ["render:0"]);
+    await Promise.resolve();
+    assert.deepEqual(log, ["render:0", "render:3"]);
+    unmount();
+  },
+  "useEffect runs after the component has finished rendering": () => {
+    const log = [];
+    const Component = () => {
+      log.push("render:start");
+      useEffect(() => {
+        log.push("effect");
+      }, []);
+      log.push("render:end");
+    };
+    const { unmount } = mount(Component);
+    assert.deepEqual(log, ["render:start", "render:end", "effect"]);
+    unmount();
+  },
+  "useEffect runs all cleanups before any new effects": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState(0);
+      useEffect(() => {
+        log.push(`one:${state}`);
+        return () => log.push(`cleanup one:${state}`);
+      }, [state]);
+      useEffect(() => {
+        log.push(`two:${state}`);
+        return () => log.push(`cleanup two:${state}`);
+      }, [state]);
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(1));
+    assert.deepEqual(log, [
+      "one:0",
+      "two:0",
+      "cleanup one:0",
+      "cleanup two:0",
+      "one:1",
+      "two:1",
+    ]);
+    unmount();
+  },
+  "useLayoutEffect runs before deferred effects": async () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState(0);
+      log.push(`render:${state}`);
+      useLayoutEffect(() => {
+        log.push(`layout:${state}`);
+      }, [state]);
+      useEffect(() => {
+        log.push(`effect:${state}`);
+      }, [state]);
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    assert.deepEqual(log, ["render:0", "layout:0", "effect:0"]);
+    setter(1);
+    await Promise.resolve();
+    assert.deepEqual(log, [
+      "render:0",
+      "layout:0",
+      "effect:0",
+      "render:1",
+      "layout:1",
+    ]);
+    await Promise.resolve();
+    assert.deepEqual(log, [
+      "render:0",
+      "layout:0",
+      "effect:0",
+      "render:1",
+      "layout:1",
+      "effect:1",
+    ]);
+    unmount();
+  },
+  "useReducer dispatches actions through the reducer": () => {
+    const log = [];
+    const dispatchers = [];
+    const reducer = (state, action) => {
+      switch (action.type) {
+        case "add":
+          return state + action.amount;
+        case "noop":
+          return state;
+      }
+    };
+    const Component = () => {
+      const [count, dispatch] = useReducer(reducer, 1, (arg) => arg * 10);
+      log.push(`count:${count}`);
+      dispatchers.push(dispatch);
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => dispatchers[0]({ type: "add", amount: 5 }));
+    flushSync(() => dispatchers[0]({ type: "noop" }));
+    assert.deepEqual(log, ["count:10", "count:15"]);
+    assert.equal(dispatchers[0], dispatchers[1]);
+    unmount();
+  },
+  "useReducer middleware can trace each action": () => {
+    const log = [];
+    let dispatcher;
+    const Component = () => {
+      const [count, dispatch] = useReducer(
+        (state, action) => state + action,
+        0,
+      );
+      dispatcher = dispatch;
+    };
+    const removeMiddleware = addReducerMiddleware(
+      createReducerLogger((entry) => log.push(entry)),
+    );
+    const { unmount } = mount(Component);
+    flushSync(() => dispatcher(2));
+    flushSync(() => dispatcher(3));
+    removeMiddleware();
+    flushSync(() => dispatcher(4));
+    assert.deepEqual(log, [
+      { action: 2, prevState: 0, nextState: 2 },
+      { action: 3, prevState: 2, nextState: 5 },
+    ]);
+    unmount();
+  },
+  "useRef keeps a mutable value without rerendering": () => {
+    const log = [];
+    const refs = [];
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState(0);
+      const renders = useRef(0);
+      renders.current += 1;
+      log.push(`render:${state}:${renders.current}`);
+      refs.push(renders);
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    refs[0].current = 10;
+    flushSync(() => setter(1));
+    assert.deepEqual(log, ["render:0:1", "render:1:11"]);
+    assert.equal(refs[0], refs[1]);
+    unmount();
+  },
+  "useCallback keeps function identity until dependencies change": () => {
+    const callbacks = [];
+    let setter;
+    let unrelatedSetter;
+    const Component = () => {
+      const [state, setState] = useState(0);
+      const [unrelated, setUnrelated] = useState(0);
+      callbacks.push(useCallback(() => state, [state]));
+      setter = setState;
+      unrelatedSetter = setUnrelated;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => unrelatedSetter(1));
+    flushSync(() => setter(1));
+    assert.equal(callbacks[0], callbacks[1]);
+    assert.notEqual(callbacks[1], callbacks[2]);
+    assert.equal(callbacks[2](), 1);
+    unmount();
+  },
+  "useContext falls back to the default without a provider": () => {
+    const log = [];
+    const Theme = createContext("light");
+    const Component = () => {
+      log.push(`theme:${useContext(Theme)}`);
+    };
+    const { unmount } = mount(Component);
+    assert.deepEqual(log, ["theme:light"]);
+    unmount();
+  },
+  "useContext reads the nearest provider above the component": () => {
+    const log = [];
+    const Theme = createContext("light");
+    const Child = ({ name }) => {
+      log.push(`${name}:${useContext(Theme)}`);
+    };
+    const Inner = () => {
+      useContextProvider(Theme, "blue");
+      renderChild(Child, { name: "inner" });
+    };
+    const Outer = () => {
+      useContextProvider(Theme, "dark");
+      renderChild(Child, { name: "outer" });
+      renderChild(Inner);
+    };
+    const { unmount } = mount(Outer);
+    assert.deepEqual(log, ["outer:dark", "inner:blue"]);
+    unmount();
+  },
+  "useContext rerenders consumers in nested mounts when the value changes":
+    () => {
+      const log = [];
+      let setter;
+      let nested;
+      const Locale = createContext("en");
+      const Nested = () => {
+        log.push(`nested:${useContext(Locale)}`);
+      };
+      const Component = () => {
+        const [locale, setLocale] = useState("fr");
+        useContextProvider(Locale, locale);
+        if (!nested) {
+          nested = mount(Nested);
+        }
+        log.push(`parent:${locale}`);
+        setter = setLocale;
+      };
+      const { unmount } = mount(Component);
+      assert.deepEqual(log, ["nested:fr", "parent:fr"]);
+      flushSync(() => setter("de"));
+      assert.deepEqual(log, [
+        "nested:fr",
+        "parent:fr",
+        "parent:de",
+        "nested:de",
+      ]);
+      nested.unmount();
+      unmount();
+    },
+  "render errors restore the active component": () => {
+    let setter;
+    const Component = () => {
+      const [state, setState] = useState(false);
+      if (state) {
+        useRef(0);
+      } else {
+        useCallback(() => {}, []);
+      }
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    assert.throws(() => flushSync(() => setter(true)), /you broke the rules/);
+    unmount();
+    assert.throws(() => useState(0), /called outside of a component/);
+  },
+  "useErrorBoundary renders a fallback for errors thrown by children": () => {
+    const log = [];
+    let resetter;
+    let shouldThrow = true;
+    const Child = () => {
+      if (shouldThrow) {
+        throw new Error("oops");
+      }
+      log.push("child");
+    };
+    const Boundary = () => {
+      const [error, reset] = useErrorBoundary();
+      resetter = reset;
+      if (error) {
+        log.push(`fallback:${error.message}`);
+        return;
+      }
+      renderChild(Child);
+    };
+    const { unmount } = mount(Boundary);
+    assert.deepEqual(log, ["fallback:oops"]);
+    shouldThrow = false;
+    flushSync(() => resetter());
+    assert.deepEqual(log, ["fallback:oops", "child"]);
+    unmount();
+  },
+  "useErrorBoundary catches errors thrown by effects": () => {
+    const log = [];
+    const Child = () => {
+      useEffect(() => {
+        log.push("effect");
+        throw new Error("effect failed");
+      }, []);
+    };
+    const Boundary = () => {
+      const [error] = useErrorBoundary();
+      if (error) {
+        log.push(`fallback:${error.message}`);
+        return;
+      }
+      renderChild(Child);
+    };
+    const { unmount } = mount(Boundary);
+    assert.deepEqual(log, ["effect", "fallback:effect failed"]);
+    unmount();
+  },
+  "onUncaughtError receives errors outside of any boundary": () => {
+    const errors = [];
+    const restore = onUncaughtError((error) => errors.push(error.message));
+    const Component = () => {
+      useEffect(() => {
+        throw new Error("nobody caught me");
+      }, []);
+    };
+    const { unmount } = mount(Component);
+    restore();
+    assert.deepEqual(errors, ["nobody caught me"]);
+    unmount();
+  },
+  "useState set on every render reports the runaway component": () => {
+    const Runaway = () => {
+      const [count, setCount] = useState(0);
+      setCount(count + 1);
+    };
+    assert.throws(
+      () => mount(Runaway),
+      /Too many renders of Runaway: rendered more than 50 times before updates settled\. The last update was made by useState at slot 0\./,
+    );
+  },
+  "useEffect which always updates state reports the effect responsible": () => {
+    const log = [];
+    const restoreHandler = onUncaughtError((error) => log.push(error.message));
+    setRenderLimit(3);
+    const Looping = () => {
+      const [count, setCount] = useState(0);
+      const options = { count };
+      useEffect(() => {
+        setCount(options.count + 1);
+      }, [options]);
+    };
+    const { unmount } = mount(Looping);
+    setRenderLimit(50);
+    restoreHandler();
+    assert.deepEqual(log, [
+      "Too many renders of Looping: rendered more than 3 times before updates settled. The last update was made by useState at slot 0 from useEffect at slot 1 of Looping.",
+    ]);
+    unmount();
+  },
+  "hooks called out of order report the component and slot": () => {
+    let setter;
+    const Reordered = () => {
+      const [state, setState] = useState(false);
+      if (state) {
+        useRef(0);
+      } else {
+        useCallback(() => {}, []);
+      }
+      setter = setState;
+    };
+    const { unmount } = mount(Reordered);
+    assert.throws(() => flushSync(() => setter(true)), {
+      message:
+        "Invariant: you broke the rules! Reordered called useRef at slot 1, but called useCallback there on the previous render.",
+    });
+    unmount();
+  },
+  "dev mode reports where the mismatched hooks were called": () => {
+    let setter;
+    const Reordered = () => {
+      const [state, setState] = useState(false);
+      if (state) {
+        useRef(0);
+      } else {
+        useCallback(() => {}, []);
+      }
+      setter = setState;
+    };
+    setDevMode(true);
+    try {
+      const { unmount } = mount(Reordered);
+      assert.throws(
+        () => flushSync(() => setter(true)),
+        /\n  previous: useCallback called at .*hooks\.test\.js:\d+:\d+\n  current: useRef called at .*hooks\.test\.js:\d+:\d+$/,
+      );
+      unmount();
+    } finally {
+      setDevMode(false);
+    }
+  },
+  "rendering fewer hooks than the previous render is reported": () => {
+    let setter;
+    const EarlyReturn = () => {
+      const [state, setState] = useState(false);
+      setter = setState;
+      if (state) {
+        return;
+      }
+      useMemo(() => 1, []);
+      useEffect(() => {}, []);
+    };
+    const { unmount } = mount(EarlyReturn);
+    assert.throws(() => flushSync(() => setter(true)), {
+      message:
+        "Invariant: you broke the rules! EarlyReturn called 1 hooks, but called 3 on the previous render, starting with useMemo at slot 1.",
+    });
+    unmount();
+  },
+  "useMemo without dependencies recalculates on every render": () => {
+    let setter;
+    let memoCalls = 0;
+    const Component = () => {
+      const [state, setState] = useState(0);
+      useMemo(() => {
+        memoCalls += 1;
+      });
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(1));
+    flushSync(() => setter(2));
+    assert.equal(memoCalls, 3);
+    unmount();
+  },
+  "useEffect treats a change in dependency count as a change": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [dependencies, setDependencies] = useState([1, 2]);
+      useEffect(() => {
+        log.push(`effect:${dependencies.length}`);
+      }, dependencies);
+      setter = setDependencies;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter([1]));
+    flushSync(() => setter([1, 2]));
+    assert.deepEqual(log, ["effect:2", "effect:1", "effect:2"]);
+    unmount();
+  },
+  "useMemo compares dependencies with Object.is": () => {
+    let setter;
+    let memoCalls = 0;
+    const Component = () => {
+      const [value, setValue] = useState(NaN);
+      useMemo(() => {
+        memoCalls += 1;
+      }, [value]);
+      setter = setValue;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(0));
+    assert.equal(memoCalls, 2);
+    flushSync(() => setter(-0));
+    assert.equal(memoCalls, 3);
+    unmount();
+  },
+  "useEffect can compare dependencies with a custom isEqual": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [options, setOptions] = useState({ page: 1 });
+      useEffect(
+        () => {
+          log.push(`page:${options.page}`);
+        },
+        [options],
+        { isEqual: shallowEqual },
+      );
+      setter = setOptions;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter({ page: 1 }));
+    flushSync(() => setter({ page: 2 }));
+    assert.deepEqual(log, ["page:1", "page:2"]);
+    unmount();
+  },
+  "renderToString renders the tree once without running effects": () => {
+    const log = [];
+    const Item = ({ label }) => {
+      const [count] = useState(1);
+      useEffect(() => {
+        log.push(`effect:${label}`);
+      });
+      return `<li>${label}:${count}</li>`;
+    };
+    const List = () => {
+      const [title] = useState("Items");
+      useLayoutEffect(() => {
+        log.push("layout effect");
+      });
+      return `<h1>${title}</h1><ul>${renderChild(Item, { label: "a" })}</ul>`;
+    };
+    const { html, state } = renderToString(List);
+    assert.equal(html, "<h1>Items</h1><ul><li>a:1</li></ul>");
+    assert.deepEqual(JSON.parse(state), {
+      component: "List",
+      hooks: [[0, "useState", "Items"]],
+      children: [
+        [
+          "index:0",
+          { component: "Item", hooks: [[0, "useState", 1]], children: [] },
+        ],
+      ],
+    });
+    assert.deepEqual(log, []);
+  },
+  "hydrate resumes instances with their serialized state": () => {
+    const log = [];
+    let setter;
+    const Counter = ({ start }) => {
+      const [count, setCount] = useState(start);
+      const [history, dispatch] = useReducer(
+        (history, value) => [...history, value],
+        [start],
+      );
+      useEffect(() => {
+        log.push(`effect:${count}:${history.join(",")}`);
+      }, [count]);
+      setter = (value) => {
+        setCount(value);
+        dispatch(value);
+      };
+      return count;
+    };
+    const App = ({ start }) => renderChild(Counter, { start });
+    const { state } = renderToString(App, { start: 5 });
+    const { unmount } = hydrate(App, { start: 0 }, state);
+    assert.deepEqual(log, ["effect:5:5"]);
+    flushSync(() => setter(6));
+    assert.deepEqual(log, ["effect:5:5", "effect:6:5,6"]);
+    unmount();
+  },
+  "hydrate reports state which does not match the slots": () => {
+    const mismatches = [];
+    const Server = () => {
+      useState(1);
+      useState(2);
+    };
+    const Client = () => {
+      useReducer((state) => state, 0);
+    };
+    Client.displayName = "Server";
+    const { state } = renderToString(Server);
+    const { unmount } = hydrate(Client, {}, state, {
+      onMismatch: (message) => mismatches.push(message),
+    });
+    assert.deepEqual(mismatches, [
+      "Server called useReducer at slot 0, but the server called useState there.",
+      "the server called useState at slot 1 of Server, but it was not called.",
+    ]);
+    unmount();
+    assert.throws(() => hydrate(Client, {}, state), {
+      message:
+        "Hydration mismatch: Server called useReducer at slot 0, but the server called useState there.",
+    });
+  },
+  "hydrate reports missing or malformed state": () => {
+    const mismatches = [];
+    const onMismatch = (message) => mismatches.push(message);
+    const log = [];
+    const Child = () => {
+      const [value] = useState("client");
+      log.push(value);
+    };
+    const App = () => renderChild(Child);
+    const { state } = renderToString(App);
+    log.length = 0;
+    const node = JSON.parse(state);
+    node.children[0][1].hooks = "broken";
+    for (const malformed of [undefined, "{}", "{", node]) {
+      hydrate(App, {}, malformed, { onMismatch }).unmount();
+    }
+    assert.deepEqual(log, ["client", "client", "client", "client"]);
+    assert.deepEqual(mismatches, [
+      "the server state of App is missing or malformed.",
+      "the server state of App is missing or malformed.",
+      "the server state of App is missing or malformed.",
+      `the server state of Child as child ${node.children[0][0]} of App is malformed.`,
+    ]);
+    assert.throws(() => hydrate(App), {
+      message:
+        "Hydration mismatch: the server state of App is missing or malformed.",
+    });
+  },
+  "useEffect aborts the signal of each run before cleaning it up": () => {
+    const log = [];
+    let setter;
+    const Component = () => {
+      const [value, setValue] = useState(0);
+      useEffect(
+        (signal) => {
+          signal.addEventListener("abort", () => log.push(`abort:${value}`));
+          return () => log.push(`cleanup:${value}:${signal.aborted}`);
+        },
+        [value],
+      );
+      setter = setValue;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(1));
+    unmount();
+    assert.deepEqual(log, [
+      "abort:0",
+      "cleanup:0:true",
+      "abort:1",
+      "cleanup:1:true",
+    ]);
+  },
+  "async useEffect runs again only once the previous run settles": async () => {
+    const log = [];
+    const resolvers = [];
+    let setter;
+    const Component = () => {
+      const [value, setValue] = useState(0);
+      useEffect(async () => {
+        log.push(`start:${value}`);
+        await new Promise((resolve) => resolvers.push(resolve));
+        log.push(`end:${value}`);
+        return () => log.push(`cleanup:${value}`);
+      }, [value]);
+      setter = setValue;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(1));
+    assert.deepEqual(log, ["start:0"]);
+    resolvers[0]();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    // The first run was aborted while running, so it is cleaned up at once
+    assert.deepEqual(log, ["start:0", "end:0", "cleanup:0", "start:1"]);
+    resolvers[1]();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    unmount();
+    assert.deepEqual(log, [
+      "start:0",
+      "end:0",
+      "cleanup:0",
+      "start:1",
+      "end:1",
+      "cleanup:1",
+    ]);
+  },
+  "async useEffect rejections are caught unless the run was aborted":
+    async () => {
+      const log = [];
+      let setter;
+      const Fetcher = () => {
+        const [id, setId] = useState(0);
+        useEffect(
+          async (signal) => {
+            await Promise.resolve();
+            if (id === 0) {
+              signal.throwIfAborted();
+            }
+            throw new Error(`failed:${id}`);
+          },
+          [id],
+        );
+        setter = setId;
+      };
+      const App = () => {
+        const [error] = useErrorBoundary();
+        log.push(error ? error.message : "ok");
+        if (!error) {
+          renderChild(Fetcher);
+        }
+      };
+      const { unmount } = mount(App);
+      flushSync(() => setter(1));
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      flushSync();
+      assert.deepEqual(log, ["ok", "failed:1"]);
+      unmount();
+    },
+  "async useEffect rejections with no handler are logged": async () => {
+    const log = [];
+    const error = console.error;
+    const onRejection = (reason) => log.push(`unhandled:${reason.message}`);
+    console.error = (reason) => log.push(`logged:${reason.message}`);
+    process.on("unhandledRejection", onRejection);
+    try {
+      const Component = () => {
+        useEffect(async () => {
+          throw new Error("failed");
+        }, []);
+      };
+      const { unmount } = mount(Component);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      unmount();
+    } finally {
+      console.error = error;
+      process.off("unhandledRejection", onRejection);
+    }
+    assert.deepEqual(log, ["logged:failed"]);
+  },
+  "useEffect returning something other than a cleanup is reported": () => {
+    const log = [];
+    const restoreHandler = onUncaughtError((error) => log.push(error.message));
+    const Component = () => {
+      useEffect(() => log.length);
+    };
+    const { unmount } = mount(Component);
+    restoreHandler();
+    assert.deepEqual(log, [
+      "Invariant: useEffect() returned 0, but effects may only return a cleanup function or a promise!",
+    ]);
+    unmount();
+  },
+  "suspending without a suspense boundary is reported": () => {
+    const log = [];
+    const restoreHandler = onUncaughtError((error) => log.push(error.message));
+    const Waiting = () => {
+      throw new Promise(() => {});
+    };
+    const App = () => {
+      renderChild(Waiting);
+    };
+    const { unmount } = mount(App);
+    restoreHandler();
+    assert.deepEqual(log, [
+      "Invariant: Waiting suspended, but there is no suspense boundary above it!",
+    ]);
+    unmount();
+  },
+  "useSyncExternalStore rerenders only when the snapshot changes": () => {
+    const log = [];
+    const listeners = new Set();
+    let value = 0;
+    const subscribe = (listener) => {
+      log.push("subscribe");
+      listeners.add(listener);
+      return () => {
+        log.push("unsubscribe");
+        listeners.delete(listener);
+      };
+    };
+    const setValue = (newValue) => {
+      value = newValue;
+      listeners.forEach((listener) => listener());
+    };
+    const Component = () => {
+      const snapshot = useSyncExternalStore(subscribe, () => value);
+      log.push(`render:${snapshot}`);
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setValue(1));
+    flushSync(() => setValue(1));
+    unmount();
+    flushSync(() => setValue(2));
+    assert.deepEqual(log, ["render:0", "subscribe", "render:1", "unsubscribe"]);
+  },
+  "useSyncExternalStore picks up changes made before subscribing": () => {
+    const log = [];
+    let value = "initial";
+    const subscribe = () => () => {};
+    const Component = () => {
+      log.push(useSyncExternalStore(subscribe, () => value));
+    };
+    const Parent = () => {
+      renderChild(Component);
+      // Changes the store after the child rendered, before it subscribes
+      value = "changed";
+    };
+    const { unmount } = mount(Parent);
+    assert.deepEqual(log, ["initial", "changed"]);
+    unmount();
+  },
+  "mount returns a handle which rerenders with new props": () => {
+    const log = [];
+    const Greeting = ({ name }) => {
+      const [count] = useState(0);
+      log.push(`${name}:${count}`);
+    };
+    const handle = mount(Greeting, { name: "Ada" });
+    handle.rerender({ name: "Grace" });
+    assert.deepEqual(log, ["Ada:0", "Grace:0"]);
+    handle.unmount();
+    assert.throws(() => handle.rerender({ name: "Linus" }), {
+      message: "Invariant: rerender() called after unmount!",
+    });
+  },
+  "mount handle unmounts only once": () => {
+    const log = [];
+    const Component = () => {
+      useEffect(() => () => log.push("cleanup"), []);
+    };
+    const handle = mount(Component);
+    assert.equal(handle.isMounted, true);
+    handle.unmount();
+    handle.unmount();
+    assert.equal(handle.isMounted, false);
+    assert.deepEqual(log, ["cleanup"]);
+  },
+  "setters called after unmount are ignored with a dev warning": () => {
+    const log = [];
+    const warn = console.warn;
+    console.warn = (message) => log.push(message);
+    let setter;
+    const Counter = () => {
+      const [count, setCount] = useState(0);
+      log.push(`render:${count}`);
+      setter = setCount;
+    };
+    setDevMode(true);
+    try {
+      const { unmount } = mount(Counter);
+      unmount();
+      flushSync(() => setter(1));
+    } finally {
+      setDevMode(false);
+      console.warn = warn;
+    }
+    assert.deepEqual(log, [
+      "render:0",
+      "Warning: useState at slot 0 of Counter was updated after it was unmounted. The update was ignored.",
+    ]);
+  },
+  "mount handle getHookState lists each slot": () => {
+    const Component = () => {
+      useState("a");
+      useMemo(() => 2, [1]);
+    };
+    const { getHookState, unmount } = mount(Component);
+    assert.deepEqual(getHookState(), [
+      {
+        address: 0,
+        type: "useState",
+        value: "a",
+        dependencies: undefined,
+        active: true,
+      },
+      {
+        address: 1,
+        type: "useMemo",
+        value: 2,
+        dependencies: [1],
+        active: true,
+      },
+    ]);
+    unmount();
+  },
+  "hotSwap keeps state when the hook types are unchanged": () => {
+    const log = [];
+    let setter;
+    const Counter = () => {
+      const [count, setCount] = useState(0);
+      const label = useMemo(() => `count ${count}`, [count]);
+      useEffect(() => {
+        log.push(`effect ${label}`);
+        return () => log.push(`cleanup ${label}`);
+      }, []);
+      setter = setCount;
+      log.push(label);
+    };
+    const NextCounter = () => {
+      const [count, setCount] = useState(0);
+      const label = useMemo(() => `total ${count}`, [count]);
+      useEffect(() => {
+        log.push(`effect ${label}`);
+        return () => log.push(`cleanup ${label}`);
+      }, []);
+      setter = setCount;
+      log.push(label);
+    };
+    const Parent = () => {
+      renderChild(Counter);
+    };
+    const { rerender, unmount } = mount(Parent);
+    flushSync(() => setter(2));
+    assert.equal(hotSwap(Counter, NextCounter), 1);
+    // The parent still refers to Counter, which now renders NextCounter
+    rerender({});
+    unmount();
+    assert.deepEqual(log, [
+      "count 0",
+      "effect count 0",
+      "count 2",
+      "total 2",
+      "cleanup count 0",
+      "effect total 2",
+      "total 2",
+      "cleanup total 2",
+    ]);
+  },
+  "hotSwap resets slots which no longer line up": () => {
+    const log = [];
+    let setters;
+    const Form = () => {
+      const [name, setName] = useState("");
+      const [age, setAge] = useState(0);
+      useEffect(() => {
+        log.push("subscribe");
+        return () => log.push("unsubscribe");
+      }, []);
+      setters = { setName, setAge };
+      log.push(`${name}:${age}`);
+    };
+    const FormWithoutEffect = () => {
+      const [name, setName] = useState("");
+      const [age, setAge] = useState(0);
+      setters = { setName, setAge };
+      log.push(`${name}:${age}`);
+    };
+    const FormWithRef = () => {
+      const [name] = useState("");
+      const age = useRef("unknown");
+      log.push(`${name}:${age.current}`);
+    };
+    const { unmount } = mount(Form);
+    flushSync(() => setters.setName("Ada"));
+    flushSync(() => setters.setAge(36));
+    hotSwap(Form, FormWithoutEffect);
+    const { setAge } = setters;
+    hotSwap(FormWithoutEffect, FormWithRef);
+    // The setter of a slot which was reset no longer does anything
+    flushSync(() => setAge(37));
+    unmount();
+    assert.deepEqual(log, [
+      ":0",
+      "subscribe",
+      "Ada:0",
+      "Ada:36",
+      "Ada:36",
+      "unsubscribe",
+      "Ada:unknown",
+    ]);
+  },
+  "flushSync renders updates made before its callback threw": () => {
+    const log = [];
+    let setter;
+    const Counter = () => {
+      const [count, setCount] = useState(0);
+      log.push(`render ${count}`);
+      setter = setCount;
+    };
+    const { unmount } = mount(Counter);
+    assert.throws(
+      () =>
+        flushSync(() => {
+          setter(1);
+          throw new Error("boom");
+        }),
+      { message: "boom" },
+    );
+    assert.deepEqual(log, ["render 0", "render 1"]);
+    unmount();
+  },
+  "hotSwap skips components whose mount threw": () => {
+    const log = [];
+    const Broken = () => {
+      throw new Error("broken");
+    };
+    const Fixed = () => {
+      useEffect(() => {
+        log.push("effect");
+      }, []);
+    };
+    assert.throws(() => mount(Broken), { message: "broken" });
+    assert.equal(hotSwap(Broken, Fixed), 0);
+    assert.deepEqual(log, []);
+  },
+  "useState compares updates with Object.is": () => {
+    const log = [];
+    let setter = undefined;
+    const Component = () => {
+      const [state, setState] = useState(NaN);
+      log.push(state);
+      setter = setState;
+    };
+    const { unmount } = mount(Component);
+    flushSync(() => setter(NaN));
+    assert.deepEqual(log, [NaN]);
+    flushSync(() => setter(0));
+    flushSync(() => setter(-0));
+    assert.deepEqual(log, [NaN, 0, -0]);
+    unmount();
+  },
 };
 
 async function runTests() {
@@ -0,0 +1,62 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { hotSwap } from "./hooks-core.js";
+
+// Watches a module of components and, whenever its file changes, imports it
+// again and hot swaps each exported function for its new version. Modules it
+// imports are not reloaded, and every reload keeps a new copy of the module in
+// memory, so this is only meant for development.
+export async function watchComponents(
+  moduleUrl,
+  {
+    watch = fs.watch,
+    delay = 50,
+    onReload = undefined,
+    onError = (error) => console.error(error),
+  } = {},
+) {
+  let exports = await import(moduleUrl);
+  let version = 0;
+  let timer = undefined;
+
+  async function reload() {
+    // A query string makes the import load the file again
+    version += 1;
+    const url = new URL(moduleUrl);
+    url.searchParams.set("hot", String(version));
+    try {
+      const nextExports = await import(url.href);
+      let swapped = 0;
+      for (const [name, value] of Object.entries(nextExports)) {
+        if (
+          typeof value === "function" &&
+          typeof exports[name] === "function"
+        ) {
+          swapped += hotSwap(exports[name], value);
+        }
+      }
+      exports = nextExports;
+      onReload?.({ exports, swapped });
+    } catch (error) {
+      // A broken edit leaves the previous version running
+      onError(error);
+    }
+  }
+
+  // Editors often write a file in several steps, so changes are debounced
+  const watcher = watch(fileURLToPath(moduleUrl), () => {
+    clearTimeout(timer);
+    timer = setTimeout(reload, delay);
+  });
+
+  return {
+    get exports() {
+      return exports;
+    },
+    reload,
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
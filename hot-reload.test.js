@@ -0,0 +1,82 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { pathToFileURL } from "url";
+import { watchComponents } from "./hot-reload.js";
+import { mount, flushSync } from "./hooks.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+function writeCounterModule(file, label) {
+  const hooksUrl = new URL("./hooks.js", import.meta.url).href;
+  fs.writeFileSync(
+    file,
+    `import { useState } from ${JSON.stringify(hooksUrl)};
+export const log = [];
+export function Counter() {
+  const [count, setCount] = useState(0);
+  log.push(${JSON.stringify(label)} + count);
+  globalThis.counterSetter = setCount;
+}
+`,
+  );
+}
+
+const tests = {
+  "hot reload swaps the components of a changed module": async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hot-reload-"));
+    const file = path.join(dir, "counter.js");
+    writeCounterModule(file, "count ");
+    let onChange;
+    const reloads = [];
+    const watcher = await watchComponents(pathToFileURL(file).href, {
+      watch: (watchedFile, listener) => {
+        assert.equal(watchedFile, file);
+        onChange = listener;
+        return { close() {} };
+      },
+      delay: 0,
+      onReload: (reload) => reloads.push(reload),
+    });
+    const first = watcher.exports;
+    try {
+      const { unmount } = mount(first.Counter);
+      flushSync(() => globalThis.counterSetter(2));
+
+      writeCounterModule(file, "total ");
+      onChange();
+      onChange();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      assert.equal(reloads.length, 1);
+      assert.equal(reloads[0].swapped, 1);
+      assert.deepEqual(first.log, ["count 0", "count 2"]);
+      assert.deepEqual(watcher.exports.log, ["total 2"]);
+      unmount();
+    } finally {
+      watcher.close();
+      delete globalThis.counterSetter;
+      fs.rmSync(dir, { recursive: true });
+    }
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();
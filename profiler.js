@@ -0,0 +1,157 @@
+import {
+  addRuntimeListener,
+  formatHook,
+  inspectInstance,
+} from "./hooks-core.js";
+
+const REASONS = ["mount", "update", "parent", "rerender"];
+
+// Records every render with its duration and reason, along with whether each
+// useMemo call reused its cached value, until stopped. Durations include the
+// children rendered by a component, like the trace viewer shows them.
+export function createProfiler() {
+  let renders = [];
+  let memos = new Map();
+
+  function onRuntimeEvent(event) {
+    if (event.type === "render") {
+      renders.push({
+        name: inspectInstance(event.instance).name,
+        reason: event.reason,
+        updates: event.updates.map(formatHook),
+        startTime: event.startTime,
+        duration: event.duration,
+      });
+    } else if (event.type === "memo") {
+      const component = inspectInstance(event.instance).name;
+      const hook = formatHook(event.hook);
+      const id = `${component}\0${hook}`;
+      if (!memos.has(id)) {
+        memos.set(id, { component, hook, hits: 0, misses: 0 });
+      }
+      const memo = memos.get(id);
+      if (event.isHit) {
+        memo.hits += 1;
+      } else {
+        memo.misses += 1;
+      }
+    }
+  }
+
+  function getSummary() {
+    // Components are grouped by name, with the slowest first
+    const components = new Map();
+    for (const render of renders) {
+      let component = components.get(render.name);
+      if (!component) {
+        component = {
+          name: render.name,
+          renders: 0,
+          totalTime: 0,
+          maxTime: 0,
+          reasons: Object.fromEntries(REASONS.map((reason) => [reason, 0])),
+          updates: {},
+        };
+        components.set(render.name, component);
+      }
+      component.renders += 1;
+      component.totalTime += render.duration;
+      component.maxTime = Math.max(component.maxTime, render.duration);
+      component.reasons[render.reason] += 1;
+      for (const hook of render.updates) {
+        component.updates[hook] = (component.updates[hook] ?? 0) + 1;
+      }
+    }
+    return {
+      components: [...components.values()].sort(
+        (a, b) => b.totalTime - a.totalTime,
+      ),
+      memos: [...memos.values()].map((memo) => ({ ...memo })),
+    };
+  }
+
+  const removeRuntimeListener = addRuntimeListener(onRuntimeEvent);
+
+  return {
+    getSummary,
+    formatTable() {
+      const { components, memos } = getSummary();
+      const renderTable = formatColumns([
+        ["Component", "Renders", "Total ms", "Max ms", "Reasons"],
+        ...components.map((component) => [
+          component.name,
+          String(component.renders),
+          component.totalTime.toFixed(2),
+          component.maxTime.toFixed(2),
+          formatReasons(component),
+        ]),
+      ]);
+      if (memos.length === 0) {
+        return renderTable;
+      }
+      const memoTable = formatColumns([
+        ["Component", "Hook", "Hits", "Misses", "Hit rate"],
+        ...memos.map(({ component, hook, hits, misses }) => [
+          component,
+          hook,
+          String(hits),
+          String(misses),
+          `${Math.round((hits / (hits + misses)) * 100)}%`,
+        ]),
+      ]);
+      return `${renderTable}\n\n${memoTable}`;
+    },
+    exportTrace() {
+      // Complete events in the Chrome trace event format, in microseconds
+      const origin = Math.min(...renders.map((render) => render.startTime));
+      const traceEvents = renders
+        .map((render) => ({
+          name: render.name,
+          cat: "render",
+          ph: "X",
+          ts: Math.round((render.startTime - origin) * 1000),
+          dur: Math.round(render.duration * 1000),
+          pid: 1,
+          tid: 1,
+          args: { reason: render.reason, updates: render.updates },
+        }))
+        .sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+      return JSON.stringify({ traceEvents, displayTimeUnit: "ms" });
+    },
+    reset() {
+      renders = [];
+      memos = new Map();
+    },
+    stop() {
+      removeRuntimeListener();
+    },
+  };
+}
+
+function formatReasons({ reasons, updates }) {
+  return REASONS.filter((reason) => reasons[reason] > 0)
+    .map((reason) => {
+      const hooks = Object.entries(updates).map(
+        ([hook, count]) => `${hook} x${count}`,
+      );
+      return reason === "update" && hooks.length > 0
+        ? `update ${reasons.update} (${hooks.join(", ")})`
+        : `${reason} ${reasons[reason]}`;
+    })
+    .join(", ");
+}
+
+function formatColumns(rows) {
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map((row) => row[i].length)),
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, i) =>
+          i === row.length - 1 ? cell : cell.padEnd(widths[i]),
+        )
+        .join("  "),
+    )
+    .join("\n");
+}
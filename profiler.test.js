@@ -0,0 +1,165 @@
+import assert from "assert";
+import fs from "fs";
+import { createProfiler } from "./profiler.js";
+import { mount, flushSync, renderChild, useState, useMemo } from "./hooks.js";
+import * as keyed from "./hooks-with-key.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+function withClock(fn) {
+  // Each reading of the clock is one millisecond after the last
+  const now = performance.now;
+  let time = 0;
+  performance.now = () => {
+    time += 1;
+    return time;
+  };
+  try {
+    return fn();
+  } finally {
+    performance.now = now;
+  }
+}
+
+const tests = {
+  "profiler counts renders and why they happened": () => {
+    const profiler = createProfiler();
+    let setter;
+    let labelSetter;
+    const Label = () => {
+      const [label, setLabel] = keyed.useState("label", "a");
+      labelSetter = setLabel;
+      return label;
+    };
+    const App = () => {
+      const [count, setCount] = useState(0);
+      setter = setCount;
+      keyed.renderChild(Label);
+      return count;
+    };
+    const handle = mount(App);
+    flushSync(() => setter(1));
+    flushSync(() => labelSetter("b"));
+    handle.rerender({});
+    const { components } = profiler.getSummary();
+    const byName = Object.fromEntries(
+      components.map(({ name, renders, reasons, updates }) => [
+        name,
+        { renders, reasons, updates },
+      ]),
+    );
+    assert.deepEqual(byName, {
+      App: {
+        renders: 3,
+        reasons: { mount: 1, update: 1, parent: 0, rerender: 1 },
+        updates: { "useState at slot 0": 1 },
+      },
+      Label: {
+        renders: 4,
+        reasons: { mount: 1, update: 1, parent: 2, rerender: 0 },
+        updates: { "useState with key label": 1 },
+      },
+    });
+    handle.unmount();
+    profiler.stop();
+  },
+  "profiler counts memo hits and misses": () => {
+    const profiler = createProfiler();
+    let setter;
+    const Filtered = () => {
+      const [query, setQuery] = useState("");
+      const [, setOther] = useState(0);
+      useMemo(() => query.toUpperCase(), [query]);
+      setter = (value) => (value === "other" ? setOther(1) : setQuery(value));
+    };
+    const { unmount } = mount(Filtered);
+    flushSync(() => setter("other"));
+    flushSync(() => setter("a"));
+    assert.deepEqual(profiler.getSummary().memos, [
+      { component: "Filtered", hook: "useMemo at slot 2", hits: 1, misses: 2 },
+    ]);
+    unmount();
+    profiler.stop();
+  },
+  "profiler formats a summary table": () => {
+    const profiler = createProfiler();
+    withClock(() => {
+      const Child = () => {
+        useMemo(() => 1, []);
+      };
+      const Parent = () => {
+        renderChild(Child);
+      };
+      const { rerender, unmount } = mount(Parent);
+      rerender({});
+      unmount();
+    });
+    assert.equal(
+      profiler.formatTable(),
+      [
+        "Component  Renders  Total ms  Max ms  Reasons",
+        "Parent     2        6.00      3.00    mount 1, rerender 1",
+        "Child      2        2.00      1.00    mount 1, parent 1",
+        "",
+        "Component  Hook               Hits  Misses  Hit rate",
+        "Child      useMemo at slot 0  1     1       50%",
+      ].join("\n"),
+    );
+    profiler.stop();
+  },
+  "profiler exports Chrome trace events": () => {
+    const profiler = createProfiler();
+    withClock(() => {
+      const Child = () => null;
+      const Parent = () => {
+        renderChild(Child);
+      };
+      const { unmount } = mount(Parent);
+      unmount();
+    });
+    profiler.stop();
+    const { traceEvents } = JSON.parse(profiler.exportTrace());
+    assert.deepEqual(traceEvents, [
+      {
+        name: "Parent",
+        cat: "render",
+        ph: "X",
+        ts: 0,
+        dur: 3000,
+        pid: 1,
+        tid: 1,
+        args: { reason: "mount", updates: [] },
+      },
+      {
+        name: "Child",
+        cat: "render",
+        ph: "X",
+        ts: 1000,
+        dur: 1000,
+        pid: 1,
+        tid: 1,
+        args: { reason: "mount", updates: [] },
+      },
+    ]);
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();
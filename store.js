@@ -0,0 +1,39 @@
+import { shallowEqual, useSyncExternalStore } from "./hooks-core.js";
+
+// A minimal external store: setState replaces the state, or takes an
+// updater, and listeners are called after every change
+export function createStore(initialState) {
+  let state = initialState;
+  const listeners = new Set();
+  return {
+    getState() {
+      return state;
+    },
+    setState(update) {
+      const nextState = typeof update === "function" ? update(state) : update;
+      if (Object.is(state, nextState)) {
+        return;
+      }
+      state = nextState;
+      listeners.forEach((listener) => listener());
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
+
+// Rerenders only when the selected part of the store changes, compared with
+// shallowEqual unless options.isEqual is given. With keyed hooks, options.key
+// is the key of the subscription's slot.
+export function useStore(store, selector = (state) => state, options) {
+  return useSyncExternalStore(
+    options?.key,
+    store.subscribe,
+    () => selector(store.getState()),
+    { ...options, isEqual: options?.isEqual ?? shallowEqual },
+  );
+}
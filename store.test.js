@@ -0,0 +1,79 @@
+import assert from "assert";
+import fs from "fs";
+import { createStore, useStore } from "./store.js";
+import { mount, renderChild, flushSync } from "./hooks.js";
+import * as keyed from "./hooks-with-key.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+const tests = {
+  "store createStore notifies listeners of changes": () => {
+    const log = [];
+    const store = createStore({ count: 0 });
+    const unsubscribe = store.subscribe(() => log.push(store.getState()));
+    store.setState({ count: 1 });
+    store.setState((state) => ({ count: state.count + 1 }));
+    store.setState(store.getState());
+    unsubscribe();
+    store.setState({ count: 3 });
+    assert.deepEqual(log, [{ count: 1 }, { count: 2 }]);
+  },
+  "store useStore rerenders only components whose selection changed": () => {
+    const log = [];
+    const store = createStore({ user: { name: "Ada" }, todos: [] });
+    const Name = () => {
+      const name = useStore(store, (state) => state.user.name);
+      log.push(`name:${name}`);
+    };
+    const Summary = () => {
+      const { count } = useStore(store, (state) => ({
+        count: state.todos.length,
+      }));
+      log.push(`count:${count}`);
+    };
+    const App = () => {
+      renderChild(Name);
+      renderChild(Summary);
+    };
+    const { unmount } = mount(App);
+    flushSync(() =>
+      store.setState((state) => ({ ...state, todos: ["write tests"] })),
+    );
+    flushSync(() =>
+      store.setState((state) => ({ ...state, user: { name: "Ada" } })),
+    );
+    assert.deepEqual(log, ["name:Ada", "count:0", "count:1"]);
+    unmount();
+  },
+  "store useStore takes a key with keyed addressing": () => {
+    const log = [];
+    const store = createStore(1);
+    const Component = () => {
+      log.push(useStore(store, undefined, { key: "store" }));
+    };
+    const { unmount } = keyed.mount(Component);
+    keyed.flushSync(() => store.setState(2));
+    assert.deepEqual(log, [1, 2]);
+    unmount();
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();
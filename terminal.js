@@ -0,0 +1,178 @@
+import {
+  addCommitListener,
+  createContext,
+  positionalAddressing,
+  renderChildInstance,
+  useContext,
+  useContextProvider,
+  useEffect,
+} from "./hooks-core.js";
+import { mount } from "./hooks.js";
+
+const TerminalContext = createContext(undefined);
+
+// Escape sequences for the keys which are not plain characters
+const KEY_NAMES = {
+  "\x1b[A": "up",
+  "\x1b[B": "down",
+  "\x1b[C": "right",
+  "\x1b[D": "left",
+  "\x1b[H": "home",
+  "\x1b[F": "end",
+  "\x1b[3~": "delete",
+  "\r": "return",
+  "\n": "return",
+  "\t": "tab",
+  "\x7f": "backspace",
+  "\b": "backspace",
+  "\x1b": "escape",
+};
+
+export function parseKeys(data) {
+  // Splits a chunk of terminal input into key presses
+  const keys = [];
+  let rest = String(data);
+  while (rest.length > 0) {
+    const sequence =
+      Object.keys(KEY_NAMES)
+        .filter((sequence) => rest.startsWith(sequence))
+        .sort((a, b) => b.length - a.length)[0] ?? rest[0];
+    rest = rest.slice(sequence.length);
+    const code = sequence.charCodeAt(0);
+    if (KEY_NAMES[sequence]) {
+      keys.push({ name: KEY_NAMES[sequence], ctrl: false, sequence });
+    } else if (code < 32) {
+      // Control characters are the letter pressed along with ctrl
+      const name = String.fromCharCode(code + 96);
+      keys.push({ name, ctrl: true, sequence });
+    } else {
+      keys.push({ name: sequence, ctrl: false, sequence });
+    }
+  }
+  return keys;
+}
+
+export function diffLines(prevLines, nextLines) {
+  // The cursor starts and ends at the beginning of the line below the output
+  let output = "";
+  let row = prevLines.length;
+  const moveTo = (target) => {
+    if (target < row) {
+      output += `\x1b[${row - target}A`;
+    } else if (target > row) {
+      output += `\x1b[${target - row}B`;
+    }
+    row = target;
+  };
+  const lineCount = Math.max(prevLines.length, nextLines.length);
+  for (let i = 0; i < lineCount; i++) {
+    if (i < nextLines.length && prevLines[i] === nextLines[i]) {
+      continue;
+    }
+    moveTo(i);
+    output += "\r\x1b[2K";
+    if (i < nextLines.length) {
+      output += `${nextLines[i]}\n`;
+      row = i + 1;
+    }
+  }
+  moveTo(nextLines.length);
+  return output;
+}
+
+function toLines(output, columns) {
+  // Long lines are cut off, since wrapped lines would break the diff
+  const text = output === undefined || output === null ? "" : String(output);
+  const lines = text === "" ? [] : text.split("\n");
+  return columns ? lines.map((line) => line.slice(0, columns)) : lines;
+}
+
+function TerminalRoot({ terminal, Component, props }) {
+  useContextProvider(TerminalContext, terminal);
+  terminal.instance = renderChildInstance(
+    Component,
+    props,
+    terminal.addressing,
+  );
+}
+
+export function renderTerminal(
+  Component,
+  props = {},
+  {
+    stdout = process.stdout,
+    stdin = process.stdin,
+    exitOnCtrlC = true,
+    addressing = positionalAddressing,
+  } = {},
+) {
+  // Draws the component's output, which is a string of lines, to stdout
+  const listeners = new Set();
+  const terminal = {
+    addressing,
+    instance: undefined,
+    lines: [],
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+  let isMounted = true;
+
+  const draw = () => {
+    const lines = toLines(terminal.instance?.output, stdout.columns);
+    const output = diffLines(terminal.lines, lines);
+    terminal.lines = lines;
+    if (output) {
+      stdout.write(output);
+    }
+  };
+  const onData = (data) => {
+    for (const key of parseKeys(data)) {
+      if (exitOnCtrlC && key.ctrl && key.name === "c") {
+        unmount();
+        return;
+      }
+      listeners.forEach((listener) => listener(key));
+    }
+  };
+
+  stdout.write("\x1b[?25l");
+  stdin.setRawMode?.(true);
+  stdin.on("data", onData);
+  stdin.resume?.();
+  const removeCommitListener = addCommitListener(draw);
+  const root = mount(TerminalRoot, { terminal, Component, props });
+
+  function unmount() {
+    if (!isMounted) {
+      return;
+    }
+    isMounted = false;
+    root.unmount();
+    removeCommitListener();
+    stdin.off("data", onData);
+    stdin.setRawMode?.(false);
+    stdin.pause?.();
+    // The last frame stays on screen
+    stdout.write("\x1b[?25h");
+  }
+  return unmount;
+}
+
+export function useInput(handler, options) {
+  // Calls handler with each key pressed while the component is mounted
+  const terminal = useContext(TerminalContext);
+  useEffect(
+    options?.key,
+    () => {
+      if (!terminal) {
+        throw new Error("Invariant: useInput() called outside of a terminal!");
+      }
+      return terminal.subscribe(handler);
+    },
+    [terminal, handler],
+  );
+}
@@ -0,0 +1,151 @@
+import assert from "assert";
+import fs from "fs";
+import { EventEmitter } from "events";
+import { renderTerminal, useInput, parseKeys, diffLines } from "./terminal.js";
+import { useState, useCallback, useEffect } from "./hooks.js";
+import * as keyed from "./hooks-with-key.js";
+import { keyedAddressing } from "./hooks-core.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+function createStreams() {
+  const stdout = {
+    columns: 20,
+    output: "",
+    write(data) {
+      this.output += data;
+    },
+  };
+  const stdin = new EventEmitter();
+  stdin.isRaw = false;
+  stdin.setRawMode = (enabled) => {
+    stdin.isRaw = enabled;
+  };
+  return { stdout, stdin };
+}
+
+const tests = {
+  "terminal parseKeys names special keys and control characters": () => {
+    assert.deepEqual(
+      parseKeys("a\x1b[A\r\x03").map(({ name, ctrl }) => `${name}:${ctrl}`),
+      ["a:false", "up:false", "return:false", "c:true"],
+    );
+  },
+  "terminal diffLines only redraws the lines which changed": () => {
+    assert.equal(diffLines([], ["a", "b"]), "\r\x1b[2Ka\n\r\x1b[2Kb\n");
+    assert.equal(
+      diffLines(["a", "b", "c"], ["a", "x", "c"]),
+      "\x1b[2A\r\x1b[2Kx\n\x1b[1B",
+    );
+    assert.equal(diffLines(["a", "b"], ["a"]), "\x1b[1A\r\x1b[2K");
+    assert.equal(diffLines(["a"], ["a"]), "");
+  },
+  "terminal renderTerminal draws output and redraws on updates": () => {
+    const { stdout, stdin } = createStreams();
+    let setter;
+    const Status = () => {
+      const [count, setCount] = useState(0);
+      setter = setCount;
+      return `Jobs\ndone: ${count}\nthis line is much too long`;
+    };
+    const unmount = renderTerminal(Status, {}, { stdout, stdin });
+    assert.equal(stdin.isRaw, true);
+    assert.equal(
+      stdout.output,
+      "\x1b[?25l\r\x1b[2KJobs\n\r\x1b[2Kdone: 0\n\r\x1b[2Kthis line is much to\n",
+    );
+    stdout.output = "";
+    setter(1);
+    return Promise.resolve().then(() => {
+      assert.equal(stdout.output, "\x1b[2A\r\x1b[2Kdone: 1\n\x1b[1B");
+      unmount();
+      assert.equal(stdin.isRaw, false);
+      assert.equal(stdin.listenerCount("data"), 0);
+    });
+  },
+  "terminal useInput receives key presses": () => {
+    const { stdout, stdin } = createStreams();
+    const log = [];
+    const Menu = () => {
+      const [index, setIndex] = useState(0);
+      const onKey = useCallback((key) => {
+        log.push(key.name);
+        if (key.name === "down") {
+          setIndex((index) => index + 1);
+        }
+      }, []);
+      useInput(onKey);
+      useEffect(() => {
+        log.push(`index:${index}`);
+      }, [index]);
+      return `> item ${index}`;
+    };
+    const unmount = renderTerminal(Menu, {}, { stdout, stdin });
+    stdin.emit("data", Buffer.from("\x1b[Bq"));
+    return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+      assert.deepEqual(log, ["index:0", "down", "q", "index:1"]);
+      assert.match(stdout.output, /> item 1\n$/);
+      unmount();
+    });
+  },
+  "terminal ctrl+c unmounts and cleans up effects": () => {
+    const { stdout, stdin } = createStreams();
+    const log = [];
+    const App = () => {
+      useEffect(() => () => log.push("cleanup"), []);
+      return "running";
+    };
+    renderTerminal(App, {}, { stdout, stdin });
+    stdin.emit("data", "\x03");
+    assert.deepEqual(log, ["cleanup"]);
+    assert.equal(stdin.listenerCount("data"), 0);
+    assert.match(stdout.output, /\x1b\[\?25h$/);
+  },
+  "terminal useInput takes a key with keyed addressing": () => {
+    const { stdout, stdin } = createStreams();
+    const log = [];
+    const App = () => {
+      const [text, setText] = keyed.useState("text", "");
+      const onKey = keyed.useCallback(
+        "onKey",
+        (key) => setText((text) => text + key.name),
+        [],
+      );
+      useInput(onKey, { key: "input" });
+      log.push(text);
+      return text;
+    };
+    const unmount = renderTerminal(
+      App,
+      {},
+      {
+        stdout,
+        stdin,
+        addressing: keyedAddressing,
+      },
+    );
+    keyed.flushSync(() => stdin.emit("data", "hi"));
+    assert.deepEqual(log, ["", "hi"]);
+    unmount();
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();
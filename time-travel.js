@@ -0,0 +1,145 @@
+import {
+  addRuntimeListener,
+  flushSync,
+  inspectInstance,
+  setHookValue,
+} from "./hooks-core.js";
+import { describeHook, toSerializable } from "./devtools.js";
+
+// Only state set through a setter or dispatch is recorded
+const RECORDED_TYPES = new Set(["useState", "useReducer"]);
+
+// Records every state update as { path, component, hook, prevValue, value,
+// timestamp }, and moves the mounted components back and forth through that
+// history. Instances are named by a path of component names and child ids,
+// so a history exported from one run can be replayed in another which mounts
+// the same components in the same order.
+export function createRecorder({ now = Date.now } = {}) {
+  let history = [];
+  // The number of history entries currently applied
+  let position = 0;
+  let isRestoring = false;
+  const paths = new WeakMap();
+  const mounted = new Map();
+  // Instances which are not children are told apart by how many came before
+  const counts = new Map();
+
+  function getPath(instance) {
+    if (paths.has(instance)) {
+      return paths.get(instance);
+    }
+    const { name, parent, childId } = inspectInstance(instance);
+    const parentPath = parent ? `${getPath(parent)}/` : "";
+    let segment = `${childId}:${name}`;
+    if (childId === undefined) {
+      const count = counts.get(`${parentPath}${name}`) ?? 0;
+      counts.set(`${parentPath}${name}`, count + 1);
+      segment = `${name}#${count}`;
+    }
+    const path = `${parentPath}${segment}`;
+    paths.set(instance, path);
+    return path;
+  }
+
+  function onRuntimeEvent({ type, instance, hook, prevValue }) {
+    if (type === "render") {
+      mounted.set(getPath(instance), instance);
+    } else if (type === "unmount") {
+      mounted.delete(getPath(instance));
+    } else if (
+      type === "update" &&
+      !isRestoring &&
+      RECORDED_TYPES.has(hook.type)
+    ) {
+      // A new update after rewinding replaces the entries which were undone
+      history = history.slice(0, position);
+      history.push({
+        path: getPath(instance),
+        component: inspectInstance(instance).name,
+        hook: describeHook(hook),
+        prevValue,
+        value: hook.value,
+        timestamp: now(),
+      });
+      position = history.length;
+    }
+  }
+
+  function restore(entry, value) {
+    const instance = mounted.get(entry.path);
+    if (!instance) {
+      throw new Error(
+        `Invariant: cannot restore ${entry.path}, since it is not mounted!`,
+      );
+    }
+    const { hook } = entry;
+    setHookValue(instance, "key" in hook ? hook.key : hook.index, value);
+  }
+
+  function goTo(target) {
+    if (!Number.isInteger(target) || target < 0 || target > history.length) {
+      throw new Error(
+        `Invariant: cannot go to ${target}, since the history has ` +
+          `${history.length} entries!`,
+      );
+    }
+    // Entries are undone or redone one at a time, then rendered together
+    isRestoring = true;
+    try {
+      flushSync(() => {
+        while (position > target) {
+          restore(history[position - 1], history[position - 1].prevValue);
+          position -= 1;
+        }
+        while (position < target) {
+          restore(history[position], history[position].value);
+          position += 1;
+        }
+      });
+    } finally {
+      isRestoring = false;
+    }
+  }
+
+  const removeRuntimeListener = addRuntimeListener(onRuntimeEvent);
+
+  return {
+    get history() {
+      return history;
+    },
+    get position() {
+      return position;
+    },
+    goTo,
+    rewind() {
+      goTo(0);
+    },
+    stepBack() {
+      goTo(Math.max(position - 1, 0));
+    },
+    stepForward() {
+      goTo(Math.min(position + 1, history.length));
+    },
+    exportHistory() {
+      return JSON.stringify(
+        history.map((entry) => ({
+          ...entry,
+          prevValue: toSerializable(entry.prevValue),
+          value: toSerializable(entry.value),
+        })),
+      );
+    },
+    importHistory(json) {
+      // Imported entries are replayed from the start by stepping forward
+      history = typeof json === "string" ? JSON.parse(json) : json;
+      position = 0;
+    },
+    clear() {
+      history = [];
+      position = 0;
+    },
+    stop() {
+      removeRuntimeListener();
+    },
+  };
+}
@@ -0,0 +1,171 @@
+import assert from "assert";
+import fs from "fs";
+import { createRecorder } from "./time-travel.js";
+import { mount, flushSync, useState, useReducer, useMemo } from "./hooks.js";
+import * as keyed from "./hooks-with-key.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+const tests = {
+  "time travel records state updates": () => {
+    let time = 100;
+    const recorder = createRecorder({ now: () => time });
+    let setter;
+    let dispatcher;
+    const Form = () => {
+      const [name, setName] = keyed.useState("name", "");
+      setter = setName;
+      return name;
+    };
+    const App = () => {
+      const [count, dispatch] = useReducer((count, n) => count + n, 0);
+      useMemo(() => count * 2, [count]);
+      dispatcher = dispatch;
+      keyed.renderChild(Form);
+    };
+    const { unmount } = mount(App);
+    flushSync(() => dispatcher(2));
+    time = 200;
+    flushSync(() => setter("Ada"));
+    assert.deepEqual(recorder.history, [
+      {
+        path: "App#0",
+        component: "App",
+        hook: { type: "useReducer", index: 0 },
+        prevValue: 0,
+        value: 2,
+        timestamp: 100,
+      },
+      {
+        path: "App#0/index:0:Form",
+        component: "Form",
+        hook: { type: "useState", key: "name" },
+        prevValue: "",
+        value: "Ada",
+        timestamp: 200,
+      },
+    ]);
+    assert.equal(recorder.position, 2);
+    unmount();
+    recorder.stop();
+  },
+  "time travel rewinds and steps through the history": () => {
+    const recorder = createRecorder();
+    const log = [];
+    let setter;
+    const Counter = () => {
+      const [count, setCount] = useState(0);
+      log.push(count);
+      setter = setCount;
+    };
+    const { unmount } = mount(Counter);
+    flushSync(() => setter(1));
+    flushSync(() => setter(2));
+    flushSync(() => setter(3));
+    log.length = 0;
+    recorder.rewind();
+    recorder.stepForward();
+    recorder.goTo(3);
+    recorder.stepBack();
+    assert.deepEqual(log, [0, 1, 3, 2]);
+    assert.equal(recorder.history.length, 3);
+
+    // Updating after stepping back drops the entries which were undone
+    flushSync(() => setter(10));
+    assert.deepEqual(
+      recorder.history.map(({ value }) => value),
+      [1, 2, 10],
+    );
+    assert.throws(() => recorder.goTo(4), {
+      message: "Invariant: cannot go to 4, since the history has 3 entries!",
+    });
+    unmount();
+    recorder.stop();
+  },
+  "time travel replays an exported history in another run": () => {
+    // Each run mounts its own copy of the same components
+    const createApp = (log, setters) => {
+      const Item = () => {
+        const [done, setDone] = keyed.useState("done", false);
+        log.push(`done:${done}`);
+        setters.item = setDone;
+      };
+      const List = () => {
+        const [filter, setFilter] = useState("all");
+        log.push(`filter:${filter}`);
+        keyed.renderChild(Item, { key: "a" });
+        setters.filter = setFilter;
+      };
+      return List;
+    };
+
+    // The first run records, e.g. while reproducing a bug
+    const recording = createRecorder({ now: () => 0 });
+    const setters = {};
+    const first = mount(createApp([], setters));
+    flushSync(() => setters.filter("done"));
+    flushSync(() => setters.item(true));
+    first.unmount();
+    recording.stop();
+    const json = recording.exportHistory();
+    assert.deepEqual(JSON.parse(json), [
+      {
+        path: "List#0",
+        component: "List",
+        hook: { type: "useState", index: 0 },
+        prevValue: "all",
+        value: "done",
+        timestamp: 0,
+      },
+      {
+        path: "List#0/key:a:Item",
+        component: "Item",
+        hook: { type: "useState", key: "done" },
+        prevValue: false,
+        value: true,
+        timestamp: 0,
+      },
+    ]);
+
+    // The second run replays it one step at a time
+    const replay = createRecorder();
+    const log = [];
+    const second = mount(createApp(log, {}));
+    replay.importHistory(json);
+    replay.stepForward();
+    replay.stepForward();
+    assert.deepEqual(log, [
+      "filter:all",
+      "done:false",
+      "filter:done",
+      "done:false",
+      "done:true",
+    ]);
+    second.unmount();
+    assert.throws(() => replay.rewind(), {
+      message:
+        "Invariant: cannot restore List#0/key:a:Item, since it is not mounted!",
+    });
+    replay.stop();
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();
@@ -0,0 +1,383 @@
+import {
+  addCommitListener,
+  flushSync,
+  isRendering,
+  positionalAddressing,
+  renderChildInstance,
+} from "./hooks-core.js";
+import { mount, useState } from "./hooks-hybrid.js";
+
+const TEXT = "#text";
+
+// Elements describe host nodes as { type, key, props, children }. Calling h()
+// with a component while rendering renders it right away as a child of the
+// rendering component, and the element refers to its instance so the latest
+// output is used even when the child rerenders on its own.
+export function h(type, props, ...children) {
+  const { key, ...rest } = props ?? {};
+  const normalizedChildren = normalizeChildren(children);
+  if (typeof type !== "function") {
+    return { type, key, props: rest, children: normalizedChildren };
+  }
+  const componentProps =
+    normalizedChildren.length > 0
+      ? { ...rest, children: normalizedChildren }
+      : rest;
+  if (!isRendering()) {
+    // Rendered once the element is passed to a renderer
+    return { type, key, props: componentProps };
+  }
+  const childProps =
+    key === undefined ? componentProps : { ...componentProps, key };
+  return { type, key, instance: renderChildInstance(type, childProps) };
+}
+
+function normalizeChildren(children, result = []) {
+  for (const child of children) {
+    if (Array.isArray(child)) {
+      normalizeChildren(child, result);
+    } else if (
+      child === null ||
+      child === undefined ||
+      typeof child === "boolean"
+    ) {
+      continue;
+    } else if (typeof child !== "object") {
+      result.push({ type: TEXT, text: String(child) });
+    } else {
+      result.push(child);
+    }
+  }
+  return result;
+}
+
+function expand(element, addressing) {
+  // Components created outside of a render are rendered by the root
+  if (Array.isArray(element)) {
+    return element.map((child) => expand(child, addressing));
+  }
+  if (!element || typeof element !== "object" || element.type === TEXT) {
+    return element;
+  }
+  if (typeof element.type === "function") {
+    if (element.instance) {
+      return element;
+    }
+    const props =
+      element.key === undefined
+        ? element.props
+        : { ...element.props, key: element.key };
+    return {
+      type: element.type,
+      key: element.key,
+      instance: renderChildInstance(element.type, props, addressing),
+    };
+  }
+  return {
+    ...element,
+    children: element.children.map((child) => expand(child, addressing)),
+  };
+}
+
+function resolve(element, key, result = []) {
+  // Flattens components and arrays into the host nodes they render
+  if (Array.isArray(element)) {
+    element.forEach((child) => resolve(child, undefined, result));
+  } else if (
+    element === null ||
+    element === undefined ||
+    typeof element === "boolean"
+  ) {
+    return result;
+  } else if (typeof element !== "object") {
+    result.push({ type: TEXT, key, text: String(element) });
+  } else if (typeof element.type === "function") {
+    const start = result.length;
+    resolve(element.instance?.output, undefined, result);
+    if (result.length === start + 1 && result[start].key === undefined) {
+      // A component's key identifies the single node it renders
+      result[start] = { ...result[start], key: element.key };
+    }
+  } else if (element.type === TEXT) {
+    result.push(key === undefined ? element : { ...element, key });
+  } else {
+    const children = [];
+    element.children.forEach((child) => resolve(child, undefined, children));
+    result.push({ ...element, key: element.key ?? key, children });
+  }
+  return result;
+}
+
+function getChildId(child, index) {
+  return child.key === undefined ? `index:${index}` : `key:${child.key}`;
+}
+
+function createNode(host, vnode) {
+  if (vnode.type === TEXT) {
+    return { ...vnode, node: host.createText(vnode.text) };
+  }
+  const node = host.createElement(vnode.type);
+  for (const [name, value] of Object.entries(vnode.props)) {
+    if (name !== "ref") {
+      host.setProperty(node, name, value, undefined);
+    }
+  }
+  const children = vnode.children.map((child) => createNode(host, child));
+  for (const child of children) {
+    host.insertBefore(node, child.node, null);
+  }
+  if (vnode.props.ref) {
+    vnode.props.ref.current = node;
+  }
+  return { ...vnode, children, node };
+}
+
+function patchNode(host, mounted, vnode) {
+  if (vnode.type === TEXT) {
+    if (mounted.text !== vnode.text) {
+      host.setText(mounted.node, vnode.text);
+    }
+    return { ...vnode, node: mounted.node };
+  }
+  const node = mounted.node;
+  const names = new Set([
+    ...Object.keys(mounted.props),
+    ...Object.keys(vnode.props),
+  ]);
+  for (const name of names) {
+    const prevValue = mounted.props[name];
+    const value = vnode.props[name];
+    if (prevValue === value) {
+      continue;
+    } else if (name === "ref") {
+      if (prevValue) {
+        prevValue.current = null;
+      }
+      if (value) {
+        value.current = node;
+      }
+    } else {
+      host.setProperty(node, name, value, prevValue);
+    }
+  }
+  const children = patchChildren(host, node, mounted.children, vnode.children);
+  return { ...vnode, children, node };
+}
+
+function removeNode(host, parentNode, mounted) {
+  host.removeChild(parentNode, mounted.node);
+  clearRefs(mounted);
+}
+
+function clearRefs(mounted) {
+  if (mounted.props?.ref) {
+    mounted.props.ref.current = null;
+  }
+  mounted.children?.forEach(clearRefs);
+}
+
+function patchChildren(host, parentNode, mountedChildren, vnodes) {
+  // Children are matched by key, or by position when unkeyed
+  const unmatched = new Map(
+    mountedChildren.map((child, i) => [getChildId(child, i), child]),
+  );
+  const children = vnodes.map((vnode, i) => {
+    const childId = getChildId(vnode, i);
+    const mounted = unmatched.get(childId);
+    if (mounted && mounted.type === vnode.type) {
+      unmatched.delete(childId);
+      return patchNode(host, mounted, vnode);
+    }
+    return createNode(host, vnode);
+  });
+  for (const mounted of unmatched.values()) {
+    removeNode(host, parentNode, mounted);
+  }
+
+  // Only move or insert nodes which are not already in place
+  const kept = new Set(children.map((child) => child.node));
+  const current = mountedChildren
+    .map((child) => child.node)
+    .filter((node) => kept.has(node));
+  children.forEach((child, i) => {
+    if (current[i] === child.node) {
+      return;
+    }
+    host.insertBefore(parentNode, child.node, current[i] ?? null);
+    const prevIndex = current.indexOf(child.node);
+    if (prevIndex !== -1) {
+      current.splice(prevIndex, 1);
+    }
+    current.splice(i, 0, child.node);
+  });
+  return children;
+}
+
+function Root({ root }) {
+  const [element, setElement] = useState(root.element);
+  root.setElement = setElement;
+  root.tree = expand(element, root.addressing);
+}
+
+export function createRenderer(
+  host,
+  { addressing = positionalAddressing } = {},
+) {
+  // Host trees are patched after every render, before layout effects run
+  const roots = new Map();
+  let removeCommitListener = undefined;
+
+  function patchRoot(root) {
+    root.children = patchChildren(
+      host,
+      root.container,
+      root.children,
+      resolve(root.tree),
+    );
+  }
+
+  function render(element, container) {
+    const root = roots.get(container);
+    if (root) {
+      flushSync(() => root.setElement(element));
+      return;
+    }
+    const newRoot = {
+      container,
+      element,
+      addressing,
+      tree: undefined,
+      children: [],
+      setElement: undefined,
+      handle: undefined,
+    };
+    roots.set(container, newRoot);
+    removeCommitListener ??= addCommitListener(() => {
+      roots.forEach(patchRoot);
+    });
+    newRoot.handle = mount(Root, { root: newRoot });
+  }
+
+  function unmount(container) {
+    const root = roots.get(container);
+    if (!root) {
+      return;
+    }
+    roots.delete(container);
+    root.handle.unmount();
+    patchChildren(host, container, root.children, []);
+    if (roots.size === 0) {
+      removeCommitListener();
+      removeCommitListener = undefined;
+    }
+  }
+
+  return { render, unmount };
+}
+
+// A DOM-like host which keeps nodes in memory and records every operation
+export function createMemoryHost() {
+  const operations = [];
+
+  function detach(child) {
+    if (child.parent) {
+      const siblings = child.parent.children;
+      siblings.splice(siblings.indexOf(child), 1);
+      child.parent = null;
+    }
+  }
+
+  return {
+    operations,
+    createContainer() {
+      return { type: "#root", props: {}, children: [], parent: null };
+    },
+    createElement(type) {
+      operations.push(`create ${type}`);
+      return { type, props: {}, children: [], parent: null };
+    },
+    createText(text) {
+      operations.push(`create text ${JSON.stringify(text)}`);
+      return { type: TEXT, text, parent: null };
+    },
+    setText(node, text) {
+      operations.push(`set text ${JSON.stringify(text)}`);
+      node.text = text;
+    },
+    setProperty(node, name, value) {
+      operations.push(`set ${name}`);
+      if (value === undefined) {
+        delete node.props[name];
+      } else {
+        node.props[name] = value;
+      }
+    },
+    insertBefore(parent, child, before) {
+      operations.push(`insert ${child.type}`);
+      detach(child);
+      const index = before ? parent.children.indexOf(before) : -1;
+      if (index === -1) {
+        parent.children.push(child);
+      } else {
+        parent.children.splice(index, 0, child);
+      }
+      child.parent = parent;
+    },
+    removeChild(parent, child) {
+      operations.push(`remove ${child.type}`);
+      detach(child);
+    },
+    toHtml(node) {
+      if (node.type === TEXT) {
+        return node.text;
+      }
+      const inner = node.children.map((child) => this.toHtml(child)).join("");
+      if (node.type === "#root") {
+        return inner;
+      }
+      const attributes = Object.entries(node.props)
+        .filter(([, value]) => typeof value !== "function")
+        .map(([name, value]) => ` ${name}="${value}"`)
+        .join("");
+      return `<${node.type}${attributes}>${inner}</${node.type}>`;
+    },
+  };
+}
+
+// A host for real DOM nodes, with on* props added as event listeners
+export function createDomHost(document = globalThis.document) {
+  return {
+    createElement(type) {
+      return document.createElement(type);
+    },
+    createText(text) {
+      return document.createTextNode(text);
+    },
+    setText(node, text) {
+      node.data = text;
+    },
+    setProperty(node, name, value, prevValue) {
+      if (name.startsWith("on")) {
+        const event = name.slice(2).toLowerCase();
+        if (prevValue) {
+          node.removeEventListener(event, prevValue);
+        }
+        if (value) {
+          node.addEventListener(event, value);
+        }
+      } else if (name in node) {
+        node[name] = value ?? "";
+      } else if (value === undefined || value === false) {
+        node.removeAttribute(name);
+      } else {
+        node.setAttribute(name, value === true ? "" : value);
+      }
+    },
+    insertBefore(parent, child, before) {
+      parent.insertBefore(child, before);
+    },
+    removeChild(parent, child) {
+      parent.removeChild(child);
+    },
+  };
+}
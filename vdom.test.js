@@ -0,0 +1,250 @@
+import assert from "assert";
+import fs from "fs";
+import { h, createRenderer, createMemoryHost, createDomHost } from "./vdom.js";
+import { flushSync, useState, useRef, useLayoutEffect } from "./hooks.js";
+import * as keyed from "./hooks-with-key.js";
+import { keyedAddressing } from "./hooks-core.js";
+
+function logSync(msg) {
+  fs.writeSync(1, msg);
+  fs.fsyncSync(1);
+}
+
+function createFakeDocument(calls) {
+  // Just enough of the DOM for the host, with every call recorded
+  const createNode = (fields) => ({
+    childNodes: [],
+    insertBefore(child, before) {
+      const index = before ? this.childNodes.indexOf(before) : -1;
+      this.childNodes.splice(
+        index === -1 ? this.childNodes.length : index,
+        0,
+        child,
+      );
+    },
+    removeChild(child) {
+      this.childNodes.splice(this.childNodes.indexOf(child), 1);
+    },
+    ...fields,
+  });
+  return {
+    createElement: (tagName) =>
+      createNode({
+        tagName,
+        value: "",
+        addEventListener: (event, listener) =>
+          calls.push(["add", event, listener]),
+        removeEventListener: (event, listener) =>
+          calls.push(["remove", event, listener]),
+        setAttribute: (name, value) => calls.push(["set", name, value]),
+        removeAttribute: (name) => calls.push(["unset", name]),
+      }),
+    createTextNode: (data) => createNode({ data }),
+  };
+}
+
+const tests = {
+  "vdom renders elements and components into the host": () => {
+    const host = createMemoryHost();
+    const container = host.createContainer();
+    const Item = ({ label }) => h("li", { class: "item" }, label);
+    const List = ({ items }) =>
+      h(
+        "ul",
+        null,
+        items.map((item) => h(Item, { key: item, label: item })),
+      );
+    const renderer = createRenderer(host);
+    renderer.render(h("main", null, h(List, { items: ["a", "b"] })), container);
+    assert.equal(
+      host.toHtml(container),
+      '<main><ul><li class="item">a</li><li class="item">b</li></ul></main>',
+    );
+    renderer.unmount(container);
+    assert.equal(host.toHtml(container), "");
+  },
+  "vdom state updates patch only what changed": () => {
+    const host = createMemoryHost();
+    const container = host.createContainer();
+    let setter;
+    const Counter = () => {
+      const [count, setCount] = useState(0);
+      setter = setCount;
+      return h("p", { class: "counter" }, "Count: ", count);
+    };
+    const renderer = createRenderer(host);
+    renderer.render(h("div", null, h(Counter)), container);
+    const paragraph = container.children[0].children[0];
+    host.operations.length = 0;
+    flushSync(() => setter(1));
+    assert.deepEqual(host.operations, ['set text "1"']);
+    assert.equal(container.children[0].children[0], paragraph);
+    assert.equal(
+      host.toHtml(container),
+      '<div><p class="counter">Count: 1</p></div>',
+    );
+    renderer.unmount(container);
+  },
+  "vdom keyed children are moved instead of recreated": () => {
+    const host = createMemoryHost();
+    const container = host.createContainer();
+    const renderer = createRenderer(host);
+    const List = ({ items }) =>
+      h(
+        "ul",
+        null,
+        items.map((item) => h("li", { key: item }, item)),
+      );
+    renderer.render(h(List, { items: ["a", "b", "c"] }), container);
+    const [a, b, c] = container.children[0].children;
+    host.operations.length = 0;
+    renderer.render(h(List, { items: ["c", "a", "b"] }), container);
+    assert.deepEqual(host.operations, ["insert li"]);
+    assert.deepEqual(container.children[0].children, [c, a, b]);
+    host.operations.length = 0;
+    renderer.render(h(List, { items: ["a", "d"] }), container);
+    assert.deepEqual(container.children[0].children.slice(0, 1), [a]);
+    assert.equal(host.toHtml(container), "<ul><li>a</li><li>d</li></ul>");
+    assert.deepEqual(host.operations, [
+      "create li",
+      'create text "d"',
+      "insert #text",
+      "remove li",
+      "remove li",
+      "insert li",
+    ]);
+    renderer.unmount(container);
+    assert.equal(b.parent, null);
+  },
+  "vdom props are added, changed and removed": () => {
+    const host = createMemoryHost();
+    const container = host.createContainer();
+    const renderer = createRenderer(host);
+    const onClick = () => {};
+    renderer.render(h("button", { class: "a", onClick }, "Go"), container);
+    const button = container.children[0];
+    assert.deepEqual(button.props, { class: "a", onClick });
+    renderer.render(h("button", { title: "Go" }, "Go"), container);
+    assert.equal(container.children[0], button);
+    assert.deepEqual(button.props, { title: "Go" });
+    renderer.unmount(container);
+  },
+  "vdom layout effects see the patched host nodes": () => {
+    const host = createMemoryHost();
+    const container = host.createContainer();
+    const log = [];
+    let setter;
+    const Input = () => {
+      const [value, setValue] = useState("a");
+      const ref = useRef(null);
+      useLayoutEffect(() => {
+        log.push(ref.current.props.value);
+      });
+      setter = setValue;
+      return h("input", { ref, value });
+    };
+    const renderer = createRenderer(host);
+    renderer.render(h(Input), container);
+    flushSync(() => setter("b"));
+    assert.deepEqual(log, ["a", "b"]);
+    renderer.unmount(container);
+  },
+  "vdom unmount removes nodes and cleans up effects": () => {
+    const host = createMemoryHost();
+    const container = host.createContainer();
+    const log = [];
+    let setter;
+    const Child = () => {
+      useLayoutEffect(() => {
+        log.push("mount");
+        return () => log.push("unmount");
+      }, []);
+      return h("span", null, "child");
+    };
+    const Parent = () => {
+      const [show, setShow] = useState(true);
+      setter = setShow;
+      return h("div", null, show && h(Child));
+    };
+    const renderer = createRenderer(host);
+    renderer.render(h(Parent), container);
+    flushSync(() => setter(false));
+    assert.equal(host.toHtml(container), "<div></div>");
+    assert.deepEqual(log, ["mount", "unmount"]);
+    renderer.unmount(container);
+    assert.equal(host.toHtml(container), "");
+  },
+  "vdom renders keyed hook components with keyed addressing": () => {
+    const host = createMemoryHost();
+    const container = host.createContainer();
+    let setter;
+    const Greeting = () => {
+      const [name, setName] = keyed.useState("name", "world");
+      setter = setName;
+      return h("p", null, `Hello ${name}`);
+    };
+    const renderer = createRenderer(host, { addressing: keyedAddressing });
+    renderer.render(h(Greeting), container);
+    keyed.flushSync(() => setter("there"));
+    assert.equal(host.toHtml(container), "<p>Hello there</p>");
+    renderer.unmount(container);
+  },
+  "vdom DOM host sets listeners, properties and attributes": () => {
+    const calls = [];
+    const document = createFakeDocument(calls);
+    const container = document.createElement("div");
+    const renderer = createRenderer(createDomHost(document));
+    const first = () => {};
+    const second = () => {};
+    renderer.render(
+      h("input", { onClick: first, value: "a", disabled: true }),
+      container,
+    );
+    const [input] = container.childNodes;
+    assert.equal(input.value, "a");
+    assert.deepEqual(calls, [
+      ["add", "click", first],
+      ["set", "disabled", ""],
+    ]);
+    calls.length = 0;
+    renderer.render(
+      h("input", { onClick: second, value: "b", disabled: false }),
+      container,
+    );
+    assert.equal(container.childNodes[0], input);
+    assert.equal(input.value, "b");
+    assert.deepEqual(calls, [
+      ["remove", "click", first],
+      ["add", "click", second],
+      ["unset", "disabled"],
+    ]);
+    calls.length = 0;
+    renderer.render(h("input", { title: "Go" }, "Go"), container);
+    assert.equal(input.value, "");
+    assert.deepEqual(calls, [
+      ["remove", "click", second],
+      ["unset", "disabled"],
+      ["set", "title", "Go"],
+    ]);
+    assert.equal(input.childNodes[0].data, "Go");
+    renderer.unmount(container);
+    assert.deepEqual(container.childNodes, []);
+  },
+};
+
+async function runTests() {
+  for (const [testName, testImpl] of Object.entries(tests)) {
+    logSync(`\x1b[33mTEST\x1b[0m ${testName}`);
+    try {
+      await testImpl();
+    } catch (e) {
+      logSync(`\r\x1b[31mFAIL\x1b[0m\n\n`);
+      console.log(e);
+      process.exit(1);
+      return;
+    }
+    logSync(`\r\x1b[32mPASS\x1b[0m\n`);
+  }
+}
+
+runTests();